@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+const path = require('path');
+const nodeFS = require('fs');
+
+const createMergedFileSystem = require('../index');
+
+const USAGE = `Usage: merged-fs [--config <file>] <command> [path]
+
+Loads a mount config (JSON, or a JS module exporting the same object that
+createMergedFileSystem takes) and inspects the merged view.
+
+Commands:
+  ls [path]          List a directory (directories end with /)
+  cat <path>         Print a file
+  stat <path>        Show stats and the layer serving the path
+  tree [path]        Print the tree beneath a path (--depth <n> to limit it)
+  which <path>       Show the layer serving a path (--all for every candidate)
+
+Options:
+  -c, --config       Mount config, defaults to merged-fs.config.js or
+                     merged-fs.json in the current directory
+  --json             Print stat and which output as JSON
+  -h, --help         Show this message
+`;
+
+const DEFAULT_CONFIG_FILES = ['merged-fs.config.js', 'merged-fs.json'];
+
+function parseArgs(args) {
+  const parsed = { positional: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '-c' || arg === '--config') {
+      parsed.config = args[++i];
+    } else if (arg === '--depth') {
+      parsed.depth = Number(args[++i]);
+
+      if (!(parsed.depth > 0)) {
+        throw new Error('--depth needs a number greater than 0');
+      }
+    } else if (arg === '--json') {
+      parsed.json = true;
+    } else if (arg === '--all') {
+      parsed.all = true;
+    } else if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (arg[0] === '-' && arg !== '-') {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+function findConfigFile(configFile, cwd) {
+  if (configFile) {
+    return path.resolve(cwd, configFile);
+  }
+
+  for (let filename of DEFAULT_CONFIG_FILES) {
+    if (nodeFS.existsSync(path.join(cwd, filename))) {
+      return path.join(cwd, filename);
+    }
+  }
+
+  throw new Error(`no config file given (and no ${DEFAULT_CONFIG_FILES.join(' or ')} found)`);
+}
+
+// Disk paths in the config (aliases without a filesystem, and archives) are
+// relative to the config file
+function resolveConfigPaths(mounts, configDir) {
+  const resolveLayer = (layer) => {
+    if (typeof layer === 'string') {
+      return path.resolve(configDir, layer);
+    } else if (!layer || typeof layer !== 'object' || !createMergedFileSystem.isLayerDescriptor(layer)) {
+      // Filesystem instances are used as is
+      return layer;
+    }
+
+    const resolved = Object.assign({}, layer);
+
+    if (resolved.archive) {
+      resolved.archive = path.resolve(configDir, resolved.archive);
+    } else if (resolved.alias && !resolved.filesystem && !resolved.files && !resolved.snapshot) {
+      resolved.alias = path.resolve(configDir, resolved.alias);
+    }
+
+    return resolved;
+  };
+
+  const result = {};
+
+  for (let mountPath of Object.keys(mounts)) {
+    const layers = mounts[mountPath];
+    result[mountPath] = Array.isArray(layers) ? layers.map(resolveLayer) : resolveLayer(layers);
+  }
+
+  return result;
+}
+
+function loadConfig(configFile) {
+  const mounts = path.extname(configFile) === '.json' ?
+    JSON.parse(nodeFS.readFileSync(configFile, 'utf8')) :
+    require(configFile);
+
+  if (!mounts || typeof mounts !== 'object') {
+    throw new Error(`${configFile} doesn't have a mount config`);
+  }
+
+  return resolveConfigPaths(mounts, path.dirname(configFile));
+}
+
+function typeSuffix(dirent) {
+  if (dirent.isDirectory()) {
+    return '/';
+  } else if (dirent.isSymbolicLink()) {
+    return '@';
+  }
+
+  return '';
+}
+
+function describeStats(stats) {
+  if (stats.isDirectory()) {
+    return 'directory';
+  } else if (stats.isSymbolicLink()) {
+    return 'symlink';
+  }
+
+  return 'file';
+}
+
+// Plain version of which/resolve results (without the filesystem instance)
+function describeLayer(layer) {
+  if (layer.virtual) {
+    return { path: layer.path, virtual: true };
+  }
+
+  return { mountPath: layer.mountPath, label: layer.label, subpath: layer.subpath, writable: layer.writable };
+}
+
+function formatLayer(layer) {
+  if (layer.virtual) {
+    return '(virtual directory, only exists because of mount points)';
+  }
+
+  return `${layer.label} ${layer.subpath} (mounted at ${layer.mountPath}${layer.writable ? ', writable' : ''})`;
+}
+
+const COMMANDS = {
+  ls(mergedFS, filepath, args, io) {
+    for (let dirent of mergedFS.readdirSync(filepath, { withFileTypes: true })) {
+      io.stdout.write(`${dirent.name}${typeSuffix(dirent)}\n`);
+    }
+  },
+
+  cat(mergedFS, filepath, args, io) {
+    io.stdout.write(mergedFS.readFileSync(filepath));
+  },
+
+  stat(mergedFS, filepath, args, io) {
+    const stats = mergedFS.lstatSync(filepath),
+          details = {
+            path: path.posix.resolve('/', filepath),
+            type: describeStats(stats),
+            size: stats.size,
+            mode: (stats.mode & 0o7777).toString(8),
+            mtime: stats.mtime,
+            layer: describeLayer(mergedFS.whichSync(filepath))
+          };
+
+    if (args.json) {
+      io.stdout.write(`${JSON.stringify(details, null, 2)}\n`);
+    } else {
+      io.stdout.write([
+        `path:  ${details.path}`,
+        `type:  ${details.type}`,
+        `size:  ${details.size}`,
+        `mode:  ${details.mode}`,
+        `mtime: ${details.mtime instanceof Date ? details.mtime.toISOString() : details.mtime}`,
+        `layer: ${formatLayer(details.layer)}`
+      ].join('\n') + '\n');
+    }
+  },
+
+  tree(mergedFS, filepath, args, io) {
+    const root = path.posix.resolve('/', filepath),
+          entries = Array.from(mergedFS.walkSync(root, { maxDepth: args.depth })),
+          lastAtDepth = [];
+
+    io.stdout.write(`${root}\n`);
+
+    entries.forEach((entry, i) => {
+      const nextSibling = entries.slice(i + 1).find(other => other.depth <= entry.depth),
+            isLast = !nextSibling || nextSibling.depth < entry.depth,
+            indent = lastAtDepth.slice(0, entry.depth - 1).map(last => last ? '    ' : '│   ').join('');
+
+      lastAtDepth[entry.depth - 1] = isLast;
+      io.stdout.write(`${indent}${isLast ? '└── ' : '├── '}${entry.dirent.name}${typeSuffix(entry.dirent)}\n`);
+    });
+  },
+
+  which(mergedFS, filepath, args, io) {
+    const layers = args.all ? mergedFS.resolveSync(filepath) : [mergedFS.whichSync(filepath)];
+
+    if (args.json) {
+      io.stdout.write(`${JSON.stringify(args.all ? layers.map(describeLayer) : describeLayer(layers[0]), null, 2)}\n`);
+    } else {
+      for (let layer of layers) {
+        io.stdout.write(`${formatLayer(layer)}\n`);
+      }
+    }
+  }
+};
+
+// Runs the CLI, returning the exit code. `io` has the stdout/stderr streams
+// and the cwd, so it can be run in tests too.
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr, cwd: process.cwd() }) {
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    io.stderr.write(`merged-fs: ${e.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const [commandName, filepath = '/'] = args.positional;
+
+  if (args.help || !commandName) {
+    (args.help ? io.stdout : io.stderr).write(USAGE);
+    return args.help ? 0 : 1;
+  } else if (!COMMANDS.hasOwnProperty(commandName)) {
+    io.stderr.write(`merged-fs: unknown command ${commandName}\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    const mergedFS = createMergedFileSystem(loadConfig(findConfigFile(args.config, io.cwd)));
+    COMMANDS[commandName](mergedFS, filepath, args, io);
+  } catch (e) {
+    io.stderr.write(`merged-fs: ${e.message}\n`);
+    return 1;
+  }
+
+  return 0;
+}
+
+module.exports = main;
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -1,336 +1,3923 @@
 const path = require('path');
 const nodeFS = require('fs');
+const EventEmitter = require('events');
+const PassThrough = require('stream').PassThrough;
+const Writable    = require('stream').Writable;
 
 const clone   = require('lodash/lang').clone;
 const unique  = require('lodash/array').uniq;
 const flatten = require('lodash/array').flatten;
 const compact = require('lodash/array').compact;
 
-const SUPPORTED_FS_FUNCTIONS = new Map()
-  .set('stat',     { returnFirstValue: true })
-  .set('readFile', { returnFirstValue: true })
-  .set('readlink', { returnFirstValue: true })
-  .set('readdir', {
+const MemoryFileSystem = require('./lib/memory-fs');
+const ArchiveFileSystem = require('./lib/archive-fs');
+const {
+  MAX_SYMLINKS, S_IFREG, S_IFDIR, S_IFLNK, SyntheticStats, SyntheticDirent,
+  createFSError, pathIsWithin, normalizeMergedPath,
+  SNAPSHOT_VERSION, writeSnapshotEntrySync
+} = require('./lib/common');
+
+// Mount points (and their ancestors) are always directories
+function synthesizeDirectoryStats(error, result, virtualEntries) {
+  return [undefined, error ? new SyntheticStats(S_IFDIR | 0o755) : result];
+}
+
+// Built-in ways to resolve a function across layers. A strategy either
+// returns the first successful value, or collects every layer's result and
+// merges them with `mergeResults(errors, results) => [error, result]`.
+const RESOLUTION_STRATEGIES = {
+  // The first layer with a successful result wins
+  first: { returnFirstValue: true, mergeResults: undefined },
+
+  // Union of every layer's (array) results, deduped and sorted
+  union: {
     returnFirstValue: false,
 
     mergeResults: (errors, results) => {
       if (errors.length > 0 && compact(results).length === 0) {
         return [errors[0], undefined];
       } else {
-        const result = unique(compact(flatten(results))).sort();
-        return [undefined, result];
+        return [undefined, uniqueEntries(compact(flatten(results)))];
+      }
+    }
+  },
+
+  // Every layer's results concatenated in precedence order (strings or buffers)
+  concat: {
+    returnFirstValue: false,
+
+    mergeResults: (errors, results) => {
+      const successful = results.filter(result => result !== undefined);
+
+      if (successful.length === 0) {
+        return [compact(errors)[0], undefined];
+      } else if (successful.every(result => Buffer.isBuffer(result))) {
+        return [undefined, Buffer.concat(successful)];
+      } else {
+        return [undefined, successful.join('')];
+      }
+    }
+  }
+};
+
+// Strategies can be a built-in name, a custom merge function, or an object
+// with `returnFirstValue`/`mergeResults` like the built-in ones
+function normalizeStrategy(strategy) {
+  if (typeof strategy === 'string') {
+    if (!RESOLUTION_STRATEGIES[strategy]) {
+      throw new Error(`Unknown resolution strategy: ${strategy}`);
+    }
+
+    return RESOLUTION_STRATEGIES[strategy];
+  } else if (typeof strategy === 'function') {
+    return { returnFirstValue: false, mergeResults: strategy };
+  } else {
+    return {
+      returnFirstValue: Boolean(strategy.returnFirstValue),
+      mergeResults: strategy.mergeResults
+    };
+  }
+}
+
+const SUPPORTED_FS_FUNCTIONS = new Map()
+  .set('stat', {
+    returnFirstValue: true,
+    returnsStats: true,
+    followSymlinks: true,
+    synthesizeDirectory: synthesizeDirectoryStats
+  })
+
+  // Layers without lstat can't have symlinks, so a plain stat is the same thing
+  .set('lstat', {
+    returnFirstValue: true,
+    returnsStats: true,
+    followSymlinks: 'parent',
+    fallbackFuncName: 'stat',
+    synthesizeDirectory: synthesizeDirectoryStats
+  })
+  .set('readFile', { returnFirstValue: true, followSymlinks: true, transformsContent: true })
+  .set('readlink', { returnFirstValue: true, followSymlinks: 'parent' })
+  .set('readdir', {
+    returnFirstValue: false,
+    mergeResults: RESOLUTION_STRATEGIES.union.mergeResults,
+    followSymlinks: true,
+    listsDirectory: true,
+
+    // Include any child mount points, merged with whatever the layers have
+    synthesizeDirectory: (error, result, virtualEntries) => {
+      return [undefined, uniqueEntries((result || []).concat(virtualEntries))];
+    }
+  })
+
+  // Write functions never fall through, they only hit the mount's write layer
+  .set('writeFile', { write: true, createsPath: true })
+  .set('mkdir',     { write: true, createsPath: true })
+  .set('unlink',    { write: true, removesPath: true })
+  .set('rmdir',     { write: true, removesPath: true })
+  .set('rename',    { write: true, pathArgCount: 2, movesPath: true });
+
+// Pulls "no such file or directory" out of "ENOENT: no such file or directory, stat '/x'"
+function describeError(error) {
+  return error.message.replace(`${error.code}: `, '').replace(/, \w+ '.*'$/, '') || error.code;
+}
+
+// The same error, as if it came from another syscall (e.g. the stat done to
+// check a path before unlinking it)
+function withSyscall(error, syscall, filepath) {
+  if (!error.code) {
+    return error;
+  }
+
+  const syscallError = createFSError(error.code, syscall, filepath, describeError(error));
+
+  if (error.attempts) {
+    syscallError.attempts = error.attempts;
+  }
+
+  return syscallError;
+}
+
+// Combines the errors from every layer that was tried into a single node-ish
+// error for the merged path. It uses the code of the highest precedence layer
+// that had one, and lists every layer that was tried (mount path, label,
+// alias, translated subpath and error) in `attempts`.
+function createLayersError(syscall, filepath, attempts) {
+  const failedAttempts = attempts.filter(attempt => attempt.error);
+
+  let error;
+
+  if (failedAttempts.length === 0) {
+    error = createFSError('ENOENT', syscall, filepath, 'no such file or directory (no mount points match)');
+  } else {
+    const primaryError = (failedAttempts.find(attempt => attempt.error.code) || failedAttempts[0]).error;
+
+    if (primaryError.code) {
+      error = createFSError(primaryError.code, syscall, filepath, describeError(primaryError));
+
+      if (primaryError.errno !== undefined) {
+        error.errno = primaryError.errno;
+      }
+    } else {
+      // Not a node-style error, so not much to add besides the attempts
+      error = new Error(primaryError.message);
+    }
+  }
+
+  error.attempts = attempts;
+  return error;
+}
+
+// The `cache` option can be `true` (cache every read function until purged), a
+// TTL in milliseconds for every read function, or an object of TTLs (or
+// `true`) by function name
+function normalizeCacheDurations(cacheOption) {
+  const durations = new Map,
+        toDuration = (value) => value === true ? Infinity : value;
+
+  if (cacheOption === true || typeof cacheOption === 'number') {
+    for (let [funcName, funcOptions] of SUPPORTED_FS_FUNCTIONS) {
+      if (!funcOptions.write) {
+        durations.set(funcName, toDuration(cacheOption));
+      }
+    }
+  } else if (cacheOption) {
+    for (let funcName in cacheOption) {
+      if (cacheOption[funcName]) {
+        durations.set(funcName, toDuration(cacheOption[funcName]));
+      }
+    }
+  }
+
+  return durations;
+}
+
+// Translates a merged path into the path a layer sees
+function layerSubpath(mountPath, layer, filepath) {
+  let subpath = mountPath === '/' ? filepath : (filepath.slice(mountPath.length) || '/');
+
+  // If there is an alias property (likely from a string shortcut), use that.
+  // Since the path is already normalized it can't `..` its way above the alias.
+  if (layer.alias) {
+    subpath = subpath === '/' ? layer.alias : path.posix.join(layer.alias, subpath);
+  }
+
+  return subpath;
+}
+
+function hasFilesystemFunc(filesystem, funcName) {
+  return typeof filesystem[funcName] === 'function' || typeof filesystem[`${funcName}Sync`] === 'function';
+}
+
+function isSymbolicLink(stats) {
+  return Boolean(stats) && typeof stats.isSymbolicLink === 'function' && stats.isSymbolicLink();
+}
+
+function wantsFileTypes(args) {
+  return args.some(arg => arg && typeof arg === 'object' && arg.withFileTypes);
+}
+
+function entryName(entry) {
+  return typeof entry === 'string' ? entry : entry.name;
+}
+
+// Dedupes readdir entries (names or Dirents) by name, keeping the first (highest
+// precedence) one, and sorts them by name
+function uniqueEntries(entries) {
+  const seen = new Set;
+
+  return entries.filter(entry => {
+    const name = entryName(entry);
+
+    if (seen.has(name)) {
+      return false;
+    }
+
+    seen.add(name);
+    return true;
+  }).sort((a, b) => {
+    const nameA = entryName(a), nameB = entryName(b);
+    return nameA < nameB ? -1 : (nameA > nameB ? 1 : 0);
+  });
+}
+
+function typeFromStats(stats) {
+  if (!stats) {
+    return 0;
+  } else if (stats.isSymbolicLink && stats.isSymbolicLink()) {
+    return S_IFLNK;
+  } else if (stats.isDirectory()) {
+    return S_IFDIR;
+  } else if (stats.isFile()) {
+    return S_IFREG;
+  } else {
+    return 0;
+  }
+}
+
+// Turns whatever a layer's readdir returned into Dirents for the merged
+// directory. Layers that ignore `withFileTypes` (and return plain names) get
+// each entry stat-ed instead.
+function direntsForLayerSync(filesystem, subpath, entries, dirpath) {
+  const statFuncName = filesystem.lstatSync ? 'lstatSync' : 'statSync';
+
+  return entries.map(entry => {
+    if (typeof entry !== 'string') {
+      return new SyntheticDirent(entry.name, typeFromStats(entry), dirpath);
+    }
+
+    let stats;
+
+    try {
+      stats = filesystem[statFuncName](path.posix.join(subpath, entry));
+    } catch (e) {}
+
+    return new SyntheticDirent(entry, typeFromStats(stats), dirpath);
+  });
+}
+
+function direntsForLayerAsync(filesystem, subpath, entries, dirpath, callback) {
+  const statFuncName = hasFilesystemFunc(filesystem, 'lstat') ? 'lstat' : 'stat',
+        dirents = new Array(entries.length);
+
+  let remaining = entries.length;
+
+  if (remaining === 0) {
+    return callback(undefined, dirents);
+  }
+
+  entries.forEach((entry, i) => {
+    const done = (stats) => {
+      dirents[i] = new SyntheticDirent(entryName(entry), typeFromStats(stats), dirpath);
+
+      if (--remaining === 0) {
+        callback(undefined, dirents);
+      }
+    };
+
+    if (typeof entry !== 'string') {
+      done(entry);
+    } else {
+      callFilesystemFuncAsync(filesystem, statFuncName, [path.posix.join(subpath, entry)], (error, stats) => done(stats));
+    }
+  });
+}
+
+// Minimal glob support for include/exclude patterns: `*`, `?`, `[...]`, `**`
+// (any number of directories) and `{a,b}` alternatives
+function expandBraces(pattern) {
+  const match = /\{([^{}]*)\}/.exec(pattern);
+
+  if (!match) {
+    return [pattern];
+  }
+
+  const before = pattern.slice(0, match.index),
+        after = pattern.slice(match.index + match[0].length);
+
+  return match[1].split(',').reduce((expanded, alternative) => {
+    return expanded.concat(expandBraces(before + alternative + after));
+  }, []);
+}
+
+const segmentRegExps = new Map;
+
+function segmentRegExp(segment) {
+  if (!segmentRegExps.has(segment)) {
+    const source = segment
+      .replace(/[.+^$(){}|\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]');
+
+    segmentRegExps.set(segment, new RegExp(`^${source}$`));
+  }
+
+  return segmentRegExps.get(segment);
+}
+
+// With `partial`, also matches paths that could be a directory leading to a match
+function globSegmentsMatch(patternSegments, pathSegments, partial) {
+  if (pathSegments.length === 0) {
+    return partial || patternSegments.every(segment => segment === '**');
+  } else if (patternSegments.length === 0) {
+    return false;
+  } else if (patternSegments[0] === '**') {
+    return globSegmentsMatch(patternSegments.slice(1), pathSegments, partial) ||
+           globSegmentsMatch(patternSegments, pathSegments.slice(1), partial);
+  }
+
+  return segmentRegExp(patternSegments[0]).test(pathSegments[0]) &&
+         globSegmentsMatch(patternSegments.slice(1), pathSegments.slice(1), partial);
+}
+
+function matchesGlob(pattern, filepath, partial = false) {
+  const pathSegments = filepath.split('/').filter(Boolean);
+
+  return expandBraces(pattern).some(expanded => {
+    return globSegmentsMatch(expanded.split('/').filter(Boolean), pathSegments, partial);
+  });
+}
+
+// Ignore patterns without a slash match a name at any depth (like
+// .gitignore), others match the whole path relative to the walk root
+function isIgnored(ignorePatterns, relativePath) {
+  return ensureArray(ignorePatterns || []).some(pattern => {
+    return matchesGlob(pattern, pattern.indexOf('/') === -1 ? path.posix.basename(relativePath) : relativePath);
+  });
+}
+
+function hasLayerFilters(layer) {
+  return Boolean(layer.include || layer.exclude);
+}
+
+// How much of a layer shows up at a path (relative to its mount path), given
+// its include/exclude globs: 'all', 'directory' (only as a directory that
+// leads to included paths), or undefined if it doesn't show up at all.
+// Matching a directory matches everything in it too.
+function layerVisibility(layer, relativePath) {
+  const segments = relativePath.split('/').filter(Boolean),
+        pathAndAncestors = segments.map((segment, i) => segments.slice(0, i + 1).join('/')),
+        matchesAny = (patterns) => ensureArray(patterns).some(pattern => {
+          return pathAndAncestors.some(filepath => matchesGlob(pattern, filepath));
+        });
+
+  if (layer.exclude && matchesAny(layer.exclude)) {
+    return undefined;
+  } else if (!layer.include || matchesAny(layer.include)) {
+    return 'all';
+  } else if (ensureArray(layer.include).some(pattern => matchesGlob(pattern, relativePath, true))) {
+    return 'directory';
+  }
+
+  return undefined;
+}
+
+// Functions that aren't about a single path, so filtered layers pass them along
+const UNFILTERED_FUNCTIONS = new Set(['watch', 'watchFile', 'unwatchFile', 'purge']);
+
+const filteredFilesystems = new WeakMap;
+
+// Wraps the filesystem of a layer with include/exclude globs, so it only
+// answers for the paths they allow (everything else is ENOENT, and readdir
+// leaves them out)
+function filteredFilesystemFor(layer, filesystem) {
+  if (!filteredFilesystems.has(layer)) {
+    filteredFilesystems.set(layer, createFilteredFilesystem(layer, filesystem));
+  }
+
+  return filteredFilesystems.get(layer);
+}
+
+function createFilteredFilesystem(layer, filesystem) {
+  const root = layer.alias || '/',
+        wrappedFuncs = new Map;
+
+  const visibilityFor = (subpath) => layerVisibility(layer, path.posix.relative(root, subpath));
+
+  const isDirectoryEntry = (dirSubpath, entry) => {
+    if (typeof entry !== 'string') {
+      return typeFromStats(entry) === S_IFDIR;
+    }
+
+    try {
+      return filesystem.statSync(path.posix.join(dirSubpath, entry)).isDirectory();
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const filterResult = (funcName, subpath, visibility, result) => {
+    if (funcName === 'readdir') {
+      return result.filter(entry => {
+        const entryVisibility = visibilityFor(path.posix.join(subpath, entryName(entry)));
+        return entryVisibility === 'all' || (entryVisibility === 'directory' && isDirectoryEntry(subpath, entry));
+      });
+    } else if (visibility === 'directory' && !(result && typeof result.isDirectory === 'function' && result.isDirectory())) {
+      throw createFSError('ENOENT', funcName, subpath, 'no such file or directory (excluded from layer)');
+    }
+
+    return result;
+  };
+
+  const wrap = (funcName, func) => {
+    const baseFuncName = funcName.replace(/Sync$/, ''),
+          isSync = baseFuncName !== funcName;
+
+    const wrapped = (subpath, ...args) => {
+      if (typeof subpath !== 'string') {
+        return func.call(filesystem, subpath, ...args);
+      }
+
+      const visibility = visibilityFor(subpath),
+            callback = !isSync && typeof args[args.length - 1] === 'function' ? args.pop() : undefined,
+            allowed = visibility === 'all' || (visibility === 'directory' && /^(l?stat|readdir)$/.test(baseFuncName));
+
+      // Directories that only partially match still exist
+      if (visibility === 'directory' && baseFuncName === 'exists') {
+        const isDirectory = isDirectoryEntry(path.posix.dirname(subpath), path.posix.basename(subpath));
+        return callback ? process.nextTick(() => callback(isDirectory)) : isDirectory;
+      }
+
+      if (!allowed) {
+        const error = createFSError('ENOENT', baseFuncName, subpath, 'no such file or directory (excluded from layer)');
+
+        if (baseFuncName === 'exists') {
+          return callback ? process.nextTick(() => callback(false)) : false;
+        } else if (callback) {
+          return process.nextTick(() => callback(error));
+        }
+
+        throw error;
+      }
+
+      if (!callback) {
+        return filterResult(baseFuncName, subpath, visibility, func.call(filesystem, subpath, ...args));
+      }
+
+      func.call(filesystem, subpath, ...args, (error, result) => {
+        let filteredResult;
+
+        if (!error) {
+          try {
+            filteredResult = filterResult(baseFuncName, subpath, visibility, result);
+          } catch (e) {
+            error = e;
+          }
+        }
+
+        callback(error, filteredResult);
+      });
+    };
+
+    if (nodeFSFunctions.has(func)) {
+      nodeFSFunctions.add(wrapped);
+    }
+
+    return wrapped;
+  };
+
+  return new Proxy(filesystem, {
+    get: (target, name) => {
+      const value = target[name];
+
+      if (typeof value !== 'function' || typeof name !== 'string') {
+        return value;
+      }
+
+      if (!wrappedFuncs.has(name)) {
+        const unfiltered = UNFILTERED_FUNCTIONS.has(name.replace(/Sync$/, ''));
+        wrappedFuncs.set(name, unfiltered ? value.bind(target) : wrap(name, value));
+      }
+
+      return wrappedFuncs.get(name);
+    }
+  });
+}
+
+// readFile arguments without the encoding, since transforms always work on
+// buffers (the encoding is applied afterwards)
+function withoutEncoding(otherArgs) {
+  const [options, ...rest] = otherArgs;
+
+  if (typeof options === 'string') {
+    return rest;
+  } else if (options && typeof options === 'object') {
+    const optionsWithoutEncoding = Object.assign({}, options);
+    delete optionsWithoutEncoding.encoding;
+
+    // Some layers (like memory-fs) take any options argument as the encoding
+    return Object.keys(optionsWithoutEncoding).length > 0 ? [optionsWithoutEncoding, ...rest] : rest;
+  }
+
+  return otherArgs;
+}
+
+function encodeContent(content, otherArgs) {
+  const options = otherArgs[0],
+        encoding = typeof options === 'string' ? options : options && options.encoding;
+
+  return encoding && Buffer.isBuffer(content) ? content.toString(encoding) : content;
+}
+
+// Copy of a Stats object with a different size
+function withSize(stats, size) {
+  return Object.assign(Object.create(Object.getPrototypeOf(stats)), stats, { size });
+}
+
+// Layers that implement the fd functions (like node's fs) get their own fds
+// opened, others have them emulated on top of readFile and writeFile
+function supportsFileDescriptors(filesystem) {
+  return ['open', 'read', 'write', 'fstat', 'close'].every(funcName => typeof filesystem[`${funcName}Sync`] === 'function');
+}
+
+// Splits `open` flags (strings like 'r+', or numeric O_* flags) into what
+// they mean for the merged view
+function parseOpenFlags(flags) {
+  if (typeof flags === 'number') {
+    const { O_WRONLY, O_RDWR, O_CREAT, O_TRUNC, O_APPEND, O_EXCL } = nodeFS.constants,
+          accessMode = flags & (O_WRONLY | O_RDWR);
+
+    return {
+      read: accessMode !== O_WRONLY,
+      write: accessMode !== 0,
+      create: Boolean(flags & O_CREAT),
+      truncate: Boolean(flags & O_TRUNC),
+      append: Boolean(flags & O_APPEND),
+      exclusive: Boolean(flags & O_EXCL)
+    };
+  }
+
+  // The sync flag ('rs', 'as+') doesn't mean anything here
+  const mode = String(flags).replace(/[sx]/g, '');
+
+  if (!/^[rwa]\+?$/.test(mode)) {
+    const error = new TypeError(`The value "${flags}" is invalid for option "flags"`);
+    error.code = 'ERR_INVALID_ARG_VALUE';
+    throw error;
+  }
+
+  const readWrite = mode[1] === '+';
+
+  return {
+    read: mode[0] === 'r' || readWrite,
+    write: mode[0] !== 'r' || readWrite,
+    create: mode[0] !== 'r',
+    truncate: mode[0] === 'w',
+    append: mode[0] === 'a',
+    exclusive: String(flags).indexOf('x') !== -1
+  };
+}
+
+// Creates a directory and any missing parents in a single layer (e.g. when
+// copying a file up to the write layer)
+function mkdirpLayerSync(filesystem, dirpath) {
+  if (typeof filesystem.mkdirpSync === 'function') {
+    return filesystem.mkdirpSync(dirpath);
+  }
+
+  try {
+    filesystem.mkdirSync(dirpath);
+  } catch (e) {
+    if (e.code === 'ENOENT' && path.posix.dirname(dirpath) !== dirpath) {
+      mkdirpLayerSync(filesystem, path.posix.dirname(dirpath));
+      filesystem.mkdirSync(dirpath);
+    } else if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+}
+
+function mkdirpLayerAsync(filesystem, dirpath, callback) {
+  if (hasFilesystemFunc(filesystem, 'mkdirp')) {
+    return callFilesystemFuncAsync(filesystem, 'mkdirp', [dirpath], (error) => callback(error));
+  }
+
+  callFilesystemFuncAsync(filesystem, 'mkdir', [dirpath], (error) => {
+    if (!error || error.code === 'EEXIST') {
+      callback();
+    } else if (error.code !== 'ENOENT' || path.posix.dirname(dirpath) === dirpath) {
+      callback(error);
+    } else {
+      mkdirpLayerAsync(filesystem, path.posix.dirname(dirpath), (error) => {
+        if (error) {
+          return callback(error);
+        }
+
+        callFilesystemFuncAsync(filesystem, 'mkdir', [dirpath], (error) => callback(error && error.code !== 'EEXIST' ? error : undefined));
+      });
+    }
+  });
+}
+
+// Checks the merged view before opening a path for writing
+// The mode bits a layer reports, for layers without their own access. Layers
+// have no notion of users, so a permission for anyone counts.
+function statsAccessError(stats, filepath, mode) {
+  const { R_OK, W_OK, X_OK } = nodeFS.constants;
+
+  for (let bit of [R_OK, W_OK, X_OK]) {
+    if ((mode & bit) && typeof stats.mode === 'number' && !(stats.mode & (bit * 0o111))) {
+      return createFSError('EACCES', 'access', filepath, 'permission denied');
+    }
+  }
+}
+
+function renameDirectoryError(filepath) {
+  return createFSError('EXDEV', 'rename', filepath, 'cross-device link not permitted (directory is not in the write layer)');
+}
+
+function unlinkError(filepath, stats) {
+  if (stats.isDirectory()) {
+    return createFSError('EISDIR', 'unlink', filepath, 'illegal operation on a directory');
+  }
+}
+
+function removeDirectoryError(filepath, entries) {
+  if (entries.length > 0) {
+    return createFSError('ENOTEMPTY', 'rmdir', filepath, 'directory not empty');
+  }
+}
+
+function openForWritingError(filepath, openFlags, stats) {
+  if (stats && openFlags.exclusive) {
+    return createFSError('EEXIST', 'open', filepath, 'file already exists');
+  } else if (stats && stats.isDirectory()) {
+    return createFSError('EISDIR', 'open', filepath, 'illegal operation on a directory');
+  } else if (!stats && !openFlags.create) {
+    return createFSError('ENOENT', 'open', filepath, 'no such file or directory');
+  }
+}
+
+function badFileDescriptorError(syscall) {
+  const error = new Error(`EBADF: bad file descriptor, ${syscall}`);
+  error.code = 'EBADF';
+  error.syscall = syscall;
+  return error;
+}
+
+// Both `read(fd, buffer, offset, length, position)` and `read(fd, buffer, { offset, length, position })`
+function normalizeReadArgs(buffer, args) {
+  let [offset = 0, length, position = null] = args;
+
+  if (offset && typeof offset === 'object') {
+    ({ offset = 0, length, position = null } = offset);
+  }
+
+  return [offset, length === undefined ? buffer.length - offset : length, position];
+}
+
+// Both `write(fd, buffer, offset, length, position)` and `write(fd, string, position, encoding)`,
+// always as a buffer
+function normalizeWriteArgs(data, args) {
+  if (typeof data === 'string') {
+    const [position = null, encoding = 'utf8'] = args;
+    return [Buffer.from(data, encoding), position];
+  }
+
+  let [offset = 0, length, position = null] = args;
+
+  if (offset && typeof offset === 'object') {
+    ({ offset = 0, length, position = null } = offset);
+  }
+
+  length = length === undefined ? data.byteLength - offset : length;
+  return [Buffer.from(data.buffer, data.byteOffset + offset, length), position];
+}
+
+// Reads from an emulated fd's content, moving the fd's position along unless
+// an explicit position was given (same as node)
+function readFromContent(descriptor, buffer, offset, length, position) {
+  const content = descriptor.content,
+        explicitPosition = typeof position === 'number' && position >= 0,
+        start = explicitPosition ? position : descriptor.position,
+        bytesRead = start < content.length ? content.copy(buffer, offset, start, Math.min(start + length, content.length)) : 0;
+
+  if (!explicitPosition) {
+    descriptor.position += bytesRead;
+  }
+
+  return bytesRead;
+}
+
+function writeToContent(descriptor, buffer, position) {
+  const explicitPosition = typeof position === 'number' && position >= 0 && !descriptor.flags.append,
+        start = descriptor.flags.append ? descriptor.content.length : (explicitPosition ? position : descriptor.position);
+
+  if (start + buffer.length > descriptor.content.length) {
+    const grown = Buffer.alloc(start + buffer.length);
+    descriptor.content.copy(grown);
+    descriptor.content = grown;
+  }
+
+  buffer.copy(descriptor.content, start);
+  descriptor.dirty = true;
+
+  if (!explicitPosition) {
+    descriptor.position = start + buffer.length;
+  }
+
+  return buffer.length;
+}
+
+// Human readable name for a layer, used in diagnostics
+function labelForLayer(layer) {
+  if (layer.label) {
+    return layer.label;
+  }
+
+  const filesystem = layer.filesystem;
+  let name = 'fs';
+
+  if (filesystem instanceof ArchiveFileSystem) {
+    name = `archive:${filesystem.archivePath}`;
+  } else if (filesystem && filesystem !== nodeFS) {
+    const constructorName = filesystem.constructor && filesystem.constructor.name;
+    name = constructorName && constructorName !== 'Object' ? constructorName : 'custom';
+  }
+
+  return layer.alias ? `${name}:${layer.alias}` : name;
+}
+
+// Cheap check if a single layer has a path, without going through the layer's
+// own async machinery
+function layerHasPath(filesystem, subpath) {
+  try {
+    if (typeof filesystem.existsSync === 'function') {
+      return filesystem.existsSync(subpath);
+    } else if (typeof filesystem.statSync === 'function') {
+      filesystem.statSync(subpath);
+      return true;
+    }
+  } catch (e) {}
+
+  return false;
+}
+
+// Same as layerHasPath, with async probes where the layer has them. Note that
+// `exists` callbacks only get a boolean, like node's.
+function layerHasPathAsync(filesystem, subpath, callback) {
+  if (typeof filesystem.exists === 'function') {
+    filesystem.exists(subpath, (exists) => callback(Boolean(exists)));
+  } else if (typeof filesystem.existsSync === 'function') {
+    callback(layerHasPath(filesystem, subpath));
+  } else {
+    callFilesystemFuncAsync(filesystem, 'stat', [subpath], (error) => callback(!error));
+  }
+}
+
+// Throws (or calls back with) an error when a layer doesn't have a path.
+// Layers without stat are probed the same way reads would find the path, with
+// exists or by reading the file.
+function probeLayerSync(filesystem, subpath) {
+  if (typeof filesystem.statSync === 'function') {
+    filesystem.statSync(subpath);
+  } else if (typeof filesystem.existsSync === 'function') {
+    if (!filesystem.existsSync(subpath)) {
+      throw createFSError('ENOENT', 'stat', subpath, 'no such file or directory');
+    }
+  } else if (typeof filesystem.readFileSync === 'function') {
+    filesystem.readFileSync(subpath);
+  } else {
+    throw new Error('filessytem has no such function: statSync');
+  }
+}
+
+function probeLayerAsync(filesystem, subpath, callback) {
+  if (hasFilesystemFunc(filesystem, 'stat')) {
+    callFilesystemFuncAsync(filesystem, 'stat', [subpath], (error) => callback(error));
+  } else if (hasFilesystemFunc(filesystem, 'exists')) {
+    layerHasPathAsync(filesystem, subpath, (exists) => {
+      callback(exists ? undefined : createFSError('ENOENT', 'stat', subpath, 'no such file or directory'));
+    });
+  } else {
+    callFilesystemFuncAsync(filesystem, 'readFile', [subpath], (error) => callback(error));
+  }
+}
+
+function statsChanged(current, previous) {
+  const mtime = (stats) => stats.mtime ? stats.mtime.getTime() : undefined;
+
+  return current.mode !== previous.mode ||
+    current.size !== previous.size ||
+    current.ino !== previous.ino ||
+    mtime(current) !== mtime(previous);
+}
+
+// Where the options start in node's fs functions. Callback-only layers (like
+// memory-fs's `readdir(path, callback)`) don't always take them, so options
+// go to the layer's sync version instead, when it has one.
+const OPTIONS_ARG_INDEXES = new Map([
+  ['stat', 1], ['lstat', 1], ['fstat', 1], ['readdir', 1], ['readFile', 1],
+  ['readlink', 1], ['realpath', 1], ['mkdir', 1], ['rmdir', 1], ['writeFile', 2]
+]);
+
+// Layer functions that are node's own (or filtered versions of them), which
+// take every argument node documents
+const nodeFSFunctions = new WeakSet(Object.values(nodeFS).filter(value => typeof value === 'function'));
+
+function passesOptions(funcName, args) {
+  return OPTIONS_ARG_INDEXES.has(funcName) && args.length > OPTIONS_ARG_INDEXES.get(funcName);
+}
+
+// Calls the async (callback) version of a function on a single layer, falling
+// back to the sync version for filesystems that only implement that
+function callFilesystemFuncAsync(filesystem, funcName, args, callback) {
+  const syncFuncName = `${funcName}Sync`,
+        asyncFunc = filesystem[funcName],
+        hasSyncFunc = typeof filesystem[syncFuncName] === 'function';
+
+  // Also fall back when the async version may not take the options we're
+  // passing (see above)
+  const useSyncFunc = hasSyncFunc && passesOptions(funcName, args) && !nodeFSFunctions.has(asyncFunc);
+
+  if (typeof asyncFunc === 'function' && !useSyncFunc) {
+    filesystem[funcName](...args, callback);
+  } else if (hasSyncFunc) {
+    let result;
+
+    // Still call back asynchronously, same as a real async function would
+    try {
+      result = filesystem[syncFuncName](...args);
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    process.nextTick(callback, undefined, result);
+  } else {
+    process.nextTick(callback, new Error('filessytem has no such function: ' + funcName));
+  }
+}
+
+// Returned by `watch`, wrapping the watchers of every layer a path maps to
+class MergedWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.layerWatchers = [];
+  }
+
+  close() {
+    this._closeLayerWatchers();
+    this.emit('close');
+  }
+
+  _closeLayerWatchers() {
+    for (let layerWatcher of this.layerWatchers) {
+      if (layerWatcher && typeof layerWatcher.close === 'function') {
+        layerWatcher.close();
+      }
+    }
+
+    this.layerWatchers = [];
+  }
+}
+
+// Layers are either plain filesystem instances, string aliases, or descriptor
+// objects like `{ alias, filesystem, writable }` (or `{ files }` for an
+// object literal of files, or `{ archive }` for a tar/zip file)
+function isLayerDescriptor(layer) {
+  return ['alias', 'filesystem', 'files', 'archive', 'snapshot'].some(key => layer.hasOwnProperty(key));
+}
+
+// Converts string aliases to objects with an alias property, and wraps plain
+// filesystems, so every layer has the same shape
+function normalizeLayer(fs) {
+  let result;
+
+  if (typeof fs === 'string') {
+    result = { alias: fs };
+  } else if (isLayerDescriptor(fs)) {
+    result = Object.assign({}, fs);
+  } else {
+    result = { filesystem: fs };
+  }
+
+  // Object literals of files get their own memory filesystem. It's read-only
+  // unless marked writable, so writes can't fall through to a less specific
+  // mount (and then not show up).
+  if (result.files) {
+    result.filesystem = new MemoryFileSystem(result.files);
+    result.readOnly = result.readOnly === undefined ? !result.writable : result.readOnly;
+    delete result.files;
+  }
+
+  // Same for snapshots of a merged view
+  if (result.snapshot) {
+    result.filesystem = MemoryFileSystem.fromSnapshot(result.snapshot);
+    result.readOnly = result.readOnly === undefined ? !result.writable : result.readOnly;
+    delete result.snapshot;
+  }
+
+  // Archives can't be written at all, and the alias is a path inside the archive
+  if (result.archive && !result.filesystem) {
+    result.filesystem = new ArchiveFileSystem(result.archive);
+    result.readOnly = result.readOnly === undefined ? true : result.readOnly;
+  }
+
+  // Ensure any alias (string shortcut or property) is absolute and normalized
+  if (result.alias) {
+    result.alias = normalizeMergedPath(result.alias);
+  }
+
+  return result;
+}
+
+// Whether a mounted layer is the given (normalized) layer. Passing just a
+// filesystem matches it regardless of alias.
+function layerMatches(layer, target) {
+  return layer.filesystem === target.filesystem && (!target.alias || layer.alias === target.alias);
+}
+
+function insertLayers(existingLayers, layers, position) {
+  if (position === 'first') {
+    return layers.concat(existingLayers);
+  } else if (position === 'last') {
+    return existingLayers.concat(layers);
+  } else if (typeof position === 'number') {
+    return existingLayers.slice(0, position).concat(layers, existingLayers.slice(position));
+  }
+
+  throw new TypeError(`Unknown layer position: ${position}`);
+}
+
+function ensureArray(possiblyArray) {
+  if (!Array.isArray(possiblyArray)) {
+    return [possiblyArray];
+  } else {
+    return possiblyArray;
+  }
+}
+
+
+// Snapshot entry for a file, with the content as a string (base64 for
+// anything that isn't valid utf8) so snapshots survive JSON.stringify
+function fileSnapshotEntry(content) {
+  const text = content.toString('utf8');
+
+  if (Buffer.from(text, 'utf8').equals(content)) {
+    return { type: 'file', content: text, encoding: 'utf8' };
+  }
+
+  return { type: 'file', content: content.toString('base64'), encoding: 'base64' };
+}
+
+function writeSnapshotEntryAsync(filesystem, filepath, entry, content) {
+  return new Promise((resolve, reject) => {
+    const written = (error) => {
+      if (error && (entry.type !== 'directory' || error.code !== 'EEXIST')) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    if (entry.type === 'directory') {
+      callFilesystemFuncAsync(filesystem, 'mkdir', [filepath], written);
+    } else if (entry.type === 'symlink') {
+      callFilesystemFuncAsync(filesystem, 'symlink', [entry.target, filepath], written);
+    } else {
+      callFilesystemFuncAsync(filesystem, 'writeFile', [filepath, content], written);
+    }
+  });
+}
+
+function withSnapshotLayer(entry, layer) {
+  return layer && !layer.virtual ? Object.assign(entry, { layer: layer.label }) : entry;
+}
+
+const TYPE_NAMES = new Map([[S_IFREG, 'file'], [S_IFDIR, 'directory'], [S_IFLNK, 'symlink']]);
+
+// Stats for a path in a single layer (without following a symlink at the
+// end, if the layer knows about symlinks), or nothing if it isn't there
+function layerStatsSync(filesystem, subpath) {
+  try {
+    return typeof filesystem.lstatSync === 'function' ? filesystem.lstatSync(subpath) : filesystem.statSync(subpath);
+  } catch (e) {}
+}
+
+function layerStatsAsync(filesystem, subpath, callback) {
+  callFilesystemFuncAsync(filesystem, hasFilesystemFunc(filesystem, 'lstat') ? 'lstat' : 'stat', [subpath], (error, stats) => {
+    callback(error ? undefined : stats);
+  });
+}
+
+// Which shadowed layers need their content compared with the winner (only
+// files of the same size, anything else is different anyway)
+function needsContentComparison(found, options) {
+  const [winner, ...shadowed] = found;
+
+  return options.compareContent === false || !winner || typeFromStats(winner.stats) !== S_IFREG ? [] :
+    shadowed.filter(layer => typeFromStats(layer.stats) === S_IFREG && layer.stats.size === winner.stats.size);
+}
+
+// Builds a conflict for a path from every layer that has it (`{ candidate,
+// stats, content }`, in order of precedence). Directories in several layers
+// aren't conflicts, since they get merged.
+function describeConflict(filepath, found) {
+  const [winner, ...shadowed] = found,
+        typeOf = (layer) => TYPE_NAMES.get(typeFromStats(layer.stats)) || 'other',
+        describeLayer = (layer) => Object.assign({}, layer.candidate, { type: typeOf(layer), size: layer.stats.size });
+
+  if (shadowed.length === 0 || shadowed.every(layer => typeOf(layer) === 'directory' && typeOf(winner) === 'directory')) {
+    return;
+  }
+
+  const conflict = {
+    path: filepath,
+    winner: describeLayer(winner),
+    shadowed: shadowed.map(layer => {
+      const sizeDiffers = typeOf(layer) !== typeOf(winner) || layer.stats.size !== winner.stats.size;
+      let contentDiffers = sizeDiffers || undefined;
+
+      if (layer.content && winner.content) {
+        contentDiffers = !layer.content.equals(winner.content);
+      }
+
+      return Object.assign(describeLayer(layer), { sizeDiffers, contentDiffers });
+    })
+  };
+
+  // Undefined when nothing is known to differ, but some content wasn't compared
+  if (conflict.shadowed.some(layer => layer.contentDiffers)) {
+    conflict.differs = true;
+  } else if (conflict.shadowed.every(layer => layer.contentDiffers === false)) {
+    conflict.differs = false;
+  }
+
+  return conflict;
+}
+
+function conflictWarning(conflict) {
+  const shadowedLabels = conflict.shadowed.map(layer => layer.label).join(', '),
+        details = conflict.differs ? 'with different content' :
+                  conflict.differs === false ? 'with the same content' :
+                  'with possibly different content, not compared';
+
+  return `${conflict.path} from ${conflict.winner.label} shadows ${shadowedLabels} (${details})`;
+}
+
+// Where materialize writes to: a directory on disk for paths, or the root of
+// any other filesystem
+function materializeTarget(target) {
+  return typeof target === 'string' ? [nodeFS, path.resolve(target), path] : [target, '/', path.posix];
+}
+
+
+class MergedFileSystem extends EventEmitter {
+  constructor(initialFilesystemsByMountPath = {}, rootFS = nodeFS, options = {}) {
+    super();
+
+    this.mountedPaths = new Map;
+    this.whiteouts = new Set;
+    this.fileWatchers = new Map;
+    this.mountChangeHandlers = new Set;
+    this.rootFS = rootFS
+    this.workingDirectory = normalizeMergedPath(options.cwd || '/');
+    this.followSymlinks = options.followSymlinks === true;
+    this.strategies = new Map;
+    this.mountStrategies = new Map;
+    this.registeredFunctions = new Map;
+    this.transforms = [];
+    this.cacheDurations = normalizeCacheDurations(options.cache);
+    this.cachedResults = new Map;
+    this.inflightRequests = new Map;
+    this.fileDescriptors = new Map;
+    this.nextFileDescriptor = 3;
+    this.addMountPoints(initialFilesystemsByMountPath);
+
+    // Mirror `fs.promises`, built on top of the callback functions
+    this.promises = {};
+    this._definePromiseFunc('realpath');
+    this._definePromiseFunc('resolve');
+    this._definePromiseFunc('which');
+    this._definePromiseFunc('access');
+    this._definePromiseFunc('glob');
+    this._definePromiseFunc('snapshot');
+    this._definePromiseFunc('materialize');
+    this._definePromiseFunc('conflicts');
+    this._definePromiseFunc('open');
+    this._definePromiseFunc('read', (bytesRead, buffer) => ({ bytesRead, buffer }));
+    this._definePromiseFunc('write', (bytesWritten, buffer) => ({ bytesWritten, buffer }));
+    this._definePromiseFunc('fstat');
+    this._definePromiseFunc('close');
+
+    for(let [funcName, funcOptions] of SUPPORTED_FS_FUNCTIONS) {
+      this._defineFunc(funcName, funcOptions);
+    };
+
+    for (let funcName in options.strategies || {}) {
+      this.setStrategy(funcName, options.strategies[funcName]);
+    }
+  }
+
+  _defineFunc(funcName, funcOptions) {
+    if (funcOptions.write) {
+      this[funcName] = this._callAsyncWriteFunc.bind(this, funcName, funcOptions);
+      this[`${funcName}Sync`] = this._callSyncWriteFunc.bind(this, `${funcName}Sync`, funcOptions);
+    } else {
+      this[funcName] = this._callAsyncFunc.bind(this, funcName, funcOptions);
+      this[`${funcName}Sync`] = this._callSyncFunc.bind(this, `${funcName}Sync`, funcOptions);
+    }
+
+    this._definePromiseFunc(funcName);
+  }
+
+  // `toResult` combines callbacks with several results (like read) into one
+  _definePromiseFunc(funcName, toResult = result => result) {
+    this.promises[funcName] = (...args) => new Promise((resolve, reject) => {
+      this[funcName](...args, (error, ...results) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(toResult(...results));
+        }
+      });
+    });
+  }
+
+  // Proxies another function (sync, callback and promise versions) through
+  // all the layers, e.g. `registerFunction('readJson', { strategy: myMerge })`.
+  // Other options are the same as in SUPPORTED_FS_FUNCTIONS.
+  registerFunction(funcName, options = {}) {
+    const funcOptions = Object.assign({}, options, options.write ? {} : normalizeStrategy(options.strategy || 'first'));
+
+    this.registeredFunctions.set(funcName, options);
+    this._defineFunc(funcName, funcOptions);
+  }
+
+  // Overrides how a function is resolved across layers, either everywhere or
+  // only for paths under a specific mount path (the most specific one wins).
+  // Pass a null strategy to go back to the default.
+  setStrategy(funcName, strategy, mountPath) {
+    let strategies = this.strategies;
+
+    if (mountPath !== undefined) {
+      mountPath = normalizeMergedPath(mountPath);
+
+      if (!this.mountStrategies.has(mountPath)) {
+        this.mountStrategies.set(mountPath, new Map);
+      }
+
+      strategies = this.mountStrategies.get(mountPath);
+    }
+
+    if (strategy == null) {
+      strategies.delete(funcName);
+    } else {
+      strategies.set(funcName, normalizeStrategy(strategy));
+    }
+
+    this._invalidateCache(mountPath || '/');
+  }
+
+  _applyStrategy(funcName, funcOptions, filepath) {
+    const baseFuncName = funcName.replace(/Sync$/, '');
+
+    let strategy = this.strategies.get(baseFuncName),
+        strategyMountPath;
+
+    for (let [mountPath, strategies] of this.mountStrategies) {
+      if (strategies.has(baseFuncName) && pathIsWithin(filepath, mountPath) &&
+          (strategyMountPath === undefined || mountPath.length > strategyMountPath.length)) {
+        strategy = strategies.get(baseFuncName);
+        strategyMountPath = mountPath;
+      }
+    }
+
+    return strategy ? Object.assign({}, funcOptions, strategy) : funcOptions;
+  }
+
+  clone() {
+    const clone = new MergedFileSystem({}, this.rootFS, {
+      cwd: this.workingDirectory,
+      followSymlinks: this.followSymlinks
+    });
+
+    clone.cacheDurations = new Map(this.cacheDurations);
+
+    // Clone the internal map _and_ the arrays for each value
+    clone.mountedPaths = new Map(this.mountedPaths);
+    for (let [key, value] of clone.mountedPaths.entries()) {
+      clone.mountedPaths.set(key, value.slice());
+    }
+
+    clone.whiteouts = new Set(this.whiteouts);
+    clone.strategies = new Map(this.strategies);
+    clone.transforms = this.transforms.slice();
+
+    for (let [mountPath, strategies] of this.mountStrategies) {
+      clone.mountStrategies.set(mountPath, new Map(strategies));
+    }
+
+    for (let [funcName, options] of this.registeredFunctions) {
+      clone.registerFunction(funcName, options);
+    }
+
+    return clone;
+  }
+
+  // Adds layers to mount points. New layers go ahead of any existing ones at
+  // the same path, unless `options.position` is 'last' or an index.
+  addMountPoints(newMountPoints, options = {}) {
+    const position = options.position === undefined ? 'first' : options.position,
+          mountedPaths = new Map(this.mountedPaths),
+          changes = [];
+
+    for (let mountPath in newMountPoints) {
+      if (newMountPoints.hasOwnProperty(mountPath)) {
+        const newMountPath = normalizeMergedPath(mountPath),
+              layers = ensureArray(newMountPoints[mountPath]).map(normalizeLayer);
+
+        mountedPaths.set(newMountPath, insertLayers(mountedPaths.get(newMountPath) || [], layers, position));
+        changes.push([newMountPath, layers]);
+      }
+    }
+
+    this._setMountedPaths(mountedPaths);
+
+    for (let [mountPath, layers] of changes) {
+      this._mountsChanged('add', mountPath, layers, []);
+    }
+  }
+
+  addMountPoint(newMountPoint, filesystem, options) {
+    this.addMountPoints({
+      [newMountPoint]: filesystem
+    }, options);
+  }
+
+  // Removes a whole mount point, or only the layers for a specific filesystem
+  // (or alias) from it. Returns whether anything was removed.
+  removeMountPoint(mountPath, filesystem) {
+    mountPath = normalizeMergedPath(mountPath);
+
+    const layers = this.mountedPaths.get(mountPath) || [],
+          target = filesystem === undefined ? undefined : normalizeLayer(filesystem),
+          removed = layers.filter(layer => !target || layerMatches(layer, target));
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    const mountedPaths = new Map(this.mountedPaths),
+          remaining = layers.filter(layer => removed.indexOf(layer) === -1);
+
+    if (remaining.length > 0) {
+      mountedPaths.set(mountPath, remaining);
+    } else {
+      mountedPaths.delete(mountPath);
+    }
+
+    this._setMountedPaths(mountedPaths);
+    this._mountsChanged('remove', mountPath, [], removed);
+    return true;
+  }
+
+  // Swaps every layer of a mount point for new ones, or only the layers for a
+  // specific filesystem (keeping their position). Returns whether anything
+  // was replaced.
+  replaceMountPoint(mountPath, filesystems, oldFilesystem) {
+    mountPath = normalizeMergedPath(mountPath);
+
+    const layers = this.mountedPaths.get(mountPath) || [],
+          newLayers = ensureArray(filesystems).map(normalizeLayer),
+          target = oldFilesystem === undefined ? undefined : normalizeLayer(oldFilesystem),
+          removed = layers.filter(layer => !target || layerMatches(layer, target));
+
+    if (target && removed.length === 0) {
+      return false;
+    }
+
+    const mountedPaths = new Map(this.mountedPaths),
+          index = target ? layers.indexOf(removed[0]) : 0,
+          remaining = layers.filter(layer => removed.indexOf(layer) === -1);
+
+    mountedPaths.set(mountPath, insertLayers(remaining, newLayers, index));
+
+    this._setMountedPaths(mountedPaths);
+    this._mountsChanged('replace', mountPath, newLayers, removed);
+    return true;
+  }
+
+  // A snapshot of every mount point and its layers (most specific mount path
+  // first, and layers in order of precedence). Can be passed right back into
+  // `createMergedFileSystem` or `addMountPoints`.
+  getMountPoints() {
+    const mountPoints = {};
+
+    for (let [mountPath, layers] of this.mountedPaths) {
+      mountPoints[mountPath] = layers.map(layer => Object.assign({}, layer));
+    }
+
+    return mountPoints;
+  }
+
+  _setMountedPaths(mountedPaths) {
+    // Create new map, instead of modifing existing one (to make sure we order
+    // the map by most specific mount points first, so we can rely on
+    // insertion order).
+    this.mountedPaths = new Map();
+
+    for (let mountPath of Array.from(mountedPaths.keys()).sort().reverse()) {
+      this.mountedPaths.set(mountPath, mountedPaths.get(mountPath));
+    }
+  }
+
+  _mountsChanged(type, mountPath, added, removed) {
+    // Anything could resolve differently now
+    this._invalidateCache('/');
+
+    // Watchers share this instead of each adding a `mountchange` listener,
+    // which would hit the max listeners warning with more than 10 of them
+    for (let handler of Array.from(this.mountChangeHandlers)) {
+      handler({ mountPath });
+    }
+
+    this.emit('mountchange', { type, mountPath, added, removed });
+  }
+
+  // Relative paths are resolved against a virtual working directory (the root
+  // by default), never the process's cwd
+  cwd() {
+    return this.workingDirectory;
+  }
+
+  chdir(directory) {
+    this.workingDirectory = this._resolvePath(directory);
+  }
+
+  _resolvePath(filepath) {
+    return normalizeMergedPath(filepath, this.workingDirectory);
+  }
+
+  // Hides a path (and everything under it) from the merged view, even if lower
+  // layers still have it. Similar to an overlayfs whiteout.
+  hide(filepath) {
+    filepath = this._resolvePath(filepath);
+    this.whiteouts.add(filepath);
+    this._invalidateCache(filepath);
+  }
+
+  unhide(filepath) {
+    filepath = this._resolvePath(filepath);
+    this.whiteouts.delete(filepath);
+    this._invalidateCache(filepath);
+  }
+
+  isHidden(filepath) {
+    if (this.whiteouts.size === 0) {
+      return false;
+    }
+
+    let current = this._resolvePath(filepath);
+
+    while (true) {
+      if (this.whiteouts.has(current)) {
+        return true;
+      } else if (current === '/') {
+        return false;
+      }
+
+      current = path.dirname(current);
+    }
+  }
+
+  _filterHiddenEntries(dirpath, entries) {
+    if (this.whiteouts.size === 0 || !entries) {
+      return entries;
+    }
+
+    return entries.filter(entry => !this.isHidden(path.posix.join(this._resolvePath(dirpath), entryName(entry))));
+  }
+
+  // If the path is a mount point or an ancestor of one, returns the names of
+  // mount points directly beneath it. Otherwise returns undefined.
+  _virtualDirectoryEntries(filepath) {
+    const dirpath = this._resolvePath(filepath),
+          prefix = dirpath === '/' ? '/' : `${dirpath}/`,
+          entries = [];
+
+    let isVirtual = false;
+
+    for (let mountPath of this.mountedPaths.keys()) {
+      if (mountPath === dirpath) {
+        isVirtual = true;
+      } else if (mountPath.indexOf(prefix) === 0) {
+        isVirtual = true;
+        entries.push(mountPath.slice(prefix.length).split('/')[0]);
+      }
+    }
+
+    return isVirtual ? unique(entries) : undefined;
+  }
+
+  // Virtual entries as Dirents when a readdir asks for `withFileTypes`
+  _virtualEntriesFor(funcOptions, filepath, otherArgs) {
+    const virtualEntries = this._virtualDirectoryEntries(filepath);
+
+    if (virtualEntries && funcOptions.listsDirectory && wantsFileTypes(otherArgs)) {
+      return virtualEntries.map(name => new SyntheticDirent(name, S_IFDIR, filepath));
+    }
+
+    return virtualEntries;
+  }
+
+  _gatherStuffToIterateOver(filepath) {
+    const toIterateOver = [];
+
+    // One loop to gather the all mountpaths and filesystems that match
+    // (so we have a total to know when async calls are fully complete)
+    for (let [mountPath, filesystems] of this.mountedPaths) {
+      // Only match whole path segments (so `/src` doesn't match `/srcfoo`)
+      if (pathIsWithin(filepath, mountPath)) {
+        for (let layer of filesystems) {
+          let filesystem = layer.filesystem || this.rootFS;
+
+          // Layers with include/exclude globs are skipped for anything they
+          // don't include, and wrapped to filter everything else
+          if (hasLayerFilters(layer)) {
+            if (!layerVisibility(layer, path.posix.relative(mountPath, filepath))) {
+              continue;
+            }
+
+            filesystem = filteredFilesystemFor(layer, filesystem);
+          }
+
+          toIterateOver.push([
+            mountPath,
+            filesystem,
+            layerSubpath(mountPath, layer, filepath),
+            layer.alias,
+            layer
+          ])
+        }
+      }
+    }
+
+    return toIterateOver;
+  }
+
+  // Lists every layer a path could be served by, in order of precedence
+  resolveSync(filepath) {
+    filepath = this._resolvePath(filepath);
+
+    return this._gatherStuffToIterateOver(filepath).map(([mountPath, filesystem, subpath, aliasIfExist, layer]) => {
+      return {
+        mountPath,
+        label: labelForLayer(layer),
+        alias: aliasIfExist,
+        subpath,
+        filesystem,
+        writable: Boolean(layer.writable && !layer.readOnly)
+      };
+    });
+  }
+
+  resolve(filepath, callback) {
+    let candidates;
+
+    try {
+      candidates = this.resolveSync(filepath);
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    process.nextTick(callback, undefined, candidates);
+  }
+
+  // Finds the layer that actually wins for stat/readFile (after following
+  // symlinks and skipping hidden paths). Directories that only exist because
+  // of mount points come back as `{ path, virtual: true }`.
+  whichSync(filepath) {
+    return this._whichSync(filepath, 'which');
+  }
+
+  which(filepath, callback) {
+    this._which(filepath, 'which', callback);
+  }
+
+  // Same as which, but with errors reported for another syscall (e.g. open)
+  _whichSync(filepath, syscall) {
+    filepath = this._resolvePath(filepath);
+
+    if (this.followSymlinks) {
+      filepath = this._resolveSymlinksSync(filepath, { syscall });
+    }
+
+    if (this.isHidden(filepath)) {
+      throw createFSError('ENOENT', syscall, filepath, 'no such file or directory');
+    }
+
+    const attempts = [];
+
+    for (let candidate of this.resolveSync(filepath)) {
+      let error;
+
+      try {
+        probeLayerSync(candidate.filesystem, candidate.subpath);
+        return Object.assign({ path: filepath }, candidate);
+      } catch (e) {
+        error = e;
+      }
+
+      attempts.push({ mountPath: candidate.mountPath, label: candidate.label, alias: candidate.alias, subpath: candidate.subpath, error });
+    }
+
+    if (this._virtualDirectoryEntries(filepath)) {
+      return { path: filepath, virtual: true };
+    }
+
+    throw createLayersError(syscall, filepath, attempts);
+  }
+
+  _which(filepath, syscall, whichCallback) {
+    filepath = this._resolvePath(filepath);
+
+    // Hidden paths, paths without layers and layers probed with existsSync
+    // would all call back synchronously otherwise
+    const callback = (error, winner) => process.nextTick(whichCallback, error, winner);
+
+    const findWinner = (error, resolvedPath) => {
+      if (error) {
+        return callback(error);
+      } else if (this.isHidden(resolvedPath)) {
+        return callback(createFSError('ENOENT', syscall, resolvedPath, 'no such file or directory'));
+      }
+
+      const candidates = this.resolveSync(resolvedPath),
+            attempts = [];
+
+      const next = () => {
+        const candidate = candidates.shift();
+
+        if (!candidate) {
+          if (this._virtualDirectoryEntries(resolvedPath)) {
+            return callback(undefined, { path: resolvedPath, virtual: true });
+          } else {
+            return callback(createLayersError(syscall, resolvedPath, attempts));
+          }
+        }
+
+        probeLayerAsync(candidate.filesystem, candidate.subpath, (error) => {
+          if (!error) {
+            return callback(undefined, Object.assign({ path: resolvedPath }, candidate));
+          }
+
+          attempts.push({ mountPath: candidate.mountPath, label: candidate.label, alias: candidate.alias, subpath: candidate.subpath, error });
+          next();
+        });
+      };
+
+      next();
+    };
+
+    if (this.followSymlinks) {
+      this._resolveSymlinksAsync(filepath, { syscall }, findWinner);
+    } else {
+      findWinner(undefined, filepath);
+    }
+  }
+
+  // Same as node's, but with first-match semantics across the layers (and
+  // hidden paths don't exist). Layers with their own existsSync are probed with
+  // that, so no Stats get built for them.
+  existsSync(filepath) {
+    try {
+      return Boolean(this._findExistingLayerSync(this._resolvePath(filepath), 'access'));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  exists(filepath, callback) {
+    this._findExistingLayer(this._resolvePath(filepath), 'access', (error, found) => callback(Boolean(!error && found)));
+  }
+
+  // Checks the mode against the winning layer (with the layer's own `access`
+  // if it has one, its stats otherwise). W_OK is about where writes to the path would go though,
+  // so it fails with EROFS if that's nowhere or the winning layer is read-only.
+  accessSync(filepath, mode = nodeFS.constants.F_OK) {
+    filepath = this._resolvePath(filepath);
+
+    const found = this._findExistingLayerSync(filepath, 'access');
+
+    if (!found) {
+      throw createFSError('ENOENT', 'access', filepath, 'no such file or directory');
+    }
+
+    const [layerFuncArgs, attempt] = this._accessLayerArgs(filepath, mode, found),
+          filesystem = found.filesystem;
+
+    if (!layerFuncArgs) {
+      return;
+    }
+
+    try {
+      if (typeof filesystem.accessSync === 'function') {
+        filesystem.accessSync(...layerFuncArgs);
+      } else if (typeof filesystem.access !== 'function' && typeof filesystem.statSync === 'function') {
+        const error = statsAccessError(filesystem.statSync(layerFuncArgs[0]), ...layerFuncArgs);
+
+        if (error) {
+          throw error;
+        }
+      }
+    } catch (e) {
+      throw createLayersError('access', filepath, [Object.assign(attempt, { error: e })]);
+    }
+  }
+
+  access(filepath, ...args) {
+    const callback = args.pop(),
+          [mode = nodeFS.constants.F_OK] = args;
+
+    filepath = this._resolvePath(filepath);
+
+    this._findExistingLayer(filepath, 'access', (error, found) => {
+      let layerFuncArgs, attempt;
+
+      if (!error && !found) {
+        error = createFSError('ENOENT', 'access', filepath, 'no such file or directory');
+      }
+
+      if (!error) {
+        try {
+          [layerFuncArgs, attempt] = this._accessLayerArgs(filepath, mode, found);
+        } catch (e) {
+          error = e;
+        }
+      }
+
+      if (error || !layerFuncArgs) {
+        return callback(error);
+      }
+
+      const checked = (error) => {
+        callback(error ? createLayersError('access', filepath, [Object.assign(attempt, { error })]) : undefined);
+      };
+
+      if (hasFilesystemFunc(found.filesystem, 'access')) {
+        callFilesystemFuncAsync(found.filesystem, 'access', layerFuncArgs, checked);
+      } else if (hasFilesystemFunc(found.filesystem, 'stat')) {
+        callFilesystemFuncAsync(found.filesystem, 'stat', [layerFuncArgs[0]], (error, stats) => {
+          checked(error || statsAccessError(stats, ...layerFuncArgs));
+        });
+      } else {
+        checked();
+      }
+    });
+  }
+
+  // Returns the arguments for the winning layer's access check, if that's
+  // needed (leaving W_OK out unless writes would go to that same layer).
+  // Layers without their own `access` are checked against their stats.
+  _accessLayerArgs(filepath, mode, found) {
+    const { W_OK, F_OK } = nodeFS.constants;
+
+    let layerMode = mode;
+
+    if (mode & W_OK) {
+      if (found.layer && found.layer.readOnly) {
+        throw createFSError('EROFS', 'access', filepath, `read-only file system (${labelForLayer(found.layer)})`);
+      }
+
+      const [writeFilesystem, writeSubpath] = this._findWriteLayer('access', filepath);
+
+      if (writeFilesystem !== found.filesystem || writeSubpath !== found.subpath) {
+        layerMode &= ~W_OK;
+      }
+    }
+
+    if (found.virtual || layerMode === F_OK) {
+      return [];
+    }
+
+    const attempt = { mountPath: found.mountPath, label: labelForLayer(found.layer), alias: found.alias, subpath: found.subpath };
+    return [[found.subpath, layerMode], attempt];
+  }
+
+  // The first layer that has a path (after following symlinks), or
+  // `{ virtual: true }` for directories that only exist because of mounts
+  _findExistingLayerSync(filepath, syscall) {
+    if (this._mayHaveSymlinks(filepath)) {
+      filepath = this._resolveSymlinksSync(filepath, { syscall });
+    }
+
+    if (this.isHidden(filepath)) {
+      return;
+    }
+
+    for (let [mountPath, filesystem, subpath, alias, layer] of this._gatherStuffToIterateOver(filepath)) {
+      if (layerHasPath(filesystem, subpath)) {
+        return { path: filepath, mountPath, filesystem, subpath, alias, layer };
+      }
+    }
+
+    if (this._virtualDirectoryEntries(filepath)) {
+      return { path: filepath, virtual: true };
+    }
+  }
+
+  _findExistingLayer(filepath, syscall, callback) {
+    const findLayer = (error, resolvedPath) => {
+      if (error || this.isHidden(resolvedPath)) {
+        return callback(error);
+      }
+
+      const candidates = this._gatherStuffToIterateOver(resolvedPath);
+
+      const next = () => {
+        const candidate = candidates.shift();
+
+        if (!candidate) {
+          return callback(undefined, this._virtualDirectoryEntries(resolvedPath) ? { path: resolvedPath, virtual: true } : undefined);
+        }
+
+        const [mountPath, filesystem, subpath, alias, layer] = candidate;
+
+        layerHasPathAsync(filesystem, subpath, (exists) => {
+          if (exists) {
+            callback(undefined, { path: resolvedPath, mountPath, filesystem, subpath, alias, layer });
+          } else {
+            next();
+          }
+        });
+      };
+
+      next();
+    };
+
+    if (this._mayHaveSymlinks(filepath)) {
+      this._resolveSymlinksAsync(filepath, { syscall }, findLayer);
+    } else {
+      findLayer(undefined, filepath);
+    }
+  }
+
+  // Following symlinks lstats every part of the path, which isn't needed if
+  // none of the layers could have any (they need lstat for that)
+  _mayHaveSymlinks(filepath) {
+    return this.followSymlinks && this._gatherStuffToIterateOver(filepath).some(([mountPath, filesystem]) => hasFilesystemFunc(filesystem, 'lstat'));
+  }
+
+  _iterateOverFilesystemsSync(filepath, iterCallback, syscall) {
+    filepath = this._resolvePath(filepath);
+
+    const toIterateOver = this._gatherStuffToIterateOver(filepath);
+
+    if (toIterateOver.length === 0) {
+      throw createLayersError(syscall, filepath, []);
+    }
+
+    for (let [mountPath, filesystem, subpath, aliasIfExist, layer] of toIterateOver) {
+      const iterResult = iterCallback(subpath, filesystem, mountPath, aliasIfExist, layer);
+
+      // sync iter func calls can return non-undefined value to stop iterating
+      if (iterResult !== undefined) {
+        return iterResult;
+      }
+    }
+  }
+
+  _iterateOverFilesystemsAsync(filepath, iterCallback, doneCallback, syscall) {
+    filepath = this._resolvePath(filepath);
+
+    const toIterateOver = this._gatherStuffToIterateOver(filepath),
+          collectedErrors = [],
+          collectedResults = [],
+          self = this;
+
+    let index = 0;
+
+    function next(iterError, iterResult, stopIterating) {
+      collectedErrors.push(iterError);
+      collectedResults.push(iterResult);
+
+
+      if (stopIterating || index === toIterateOver.length - 1) {
+        doneCallback(
+          collectedErrors.length > 0 ? collectedErrors : undefined,
+          collectedResults
+        );
+      } else {
+        index += 1;
+        iterate();
+      }
+    }
+
+    function iterate() {
+      const [mountPath, filesystem, subpath, aliasIfExist, layer] = toIterateOver[index];
+      iterCallback(subpath, filesystem, mountPath, next, aliasIfExist, layer);
+    }
+
+    if (toIterateOver.length > 0) {
+      iterate();
+    } else {
+      doneCallback(createLayersError(syscall, filepath, []), undefined);
+    }
+  }
+
+  _callAsyncFunc(funcName, funcOptions, filepath, ...otherArgs) {
+    const callback = otherArgs.pop();
+
+    filepath = this._resolvePath(filepath);
+
+    if (!this.followSymlinks || !funcOptions.followSymlinks) {
+      return this._callAsyncFuncOnPath(funcName, funcOptions, filepath, otherArgs, callback);
+    }
+
+    const resolveOptions = { syscall: funcName, parentOnly: funcOptions.followSymlinks === 'parent' };
+
+    this._resolveSymlinksAsync(filepath, resolveOptions, (error, resolvedPath) => {
+      if (error) {
+        callback(error);
+      } else {
+        this._callAsyncFuncOnPath(funcName, funcOptions, resolvedPath, otherArgs, callback);
+      }
+    });
+  }
+
+  // Same as above, but without following any symlinks in the path (cached
+  // results are keyed on the resolved merged path, and concurrent requests for
+  // the same thing share a single walk over the layers)
+  _callAsyncFuncOnPath(funcName, funcOptions, filepath, otherArgs, callback) {
+    if (!this.cacheDurations.has(funcName)) {
+      return this._callAsyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs, callback);
+    }
+
+    const cacheKey = this._cacheKey(funcName, filepath, otherArgs),
+          cached = this._getCachedResult(cacheKey);
+
+    if (cached) {
+      return process.nextTick(() => callback(cached.error, cached.result));
+    }
+
+    if (this.inflightRequests.has(cacheKey)) {
+      return this.inflightRequests.get(cacheKey).callbacks.push(callback);
+    }
+
+    const request = { path: filepath, callbacks: [callback], stale: false };
+    this.inflightRequests.set(cacheKey, request);
+
+    this._callAsyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs, (error, result) => {
+      // Anything invalidated mid-request might already be out of date
+      if (!request.stale) {
+        this.inflightRequests.delete(cacheKey);
+        this._setCachedResult(cacheKey, funcName, filepath, error, result);
+      }
+
+      for (let requestCallback of request.callbacks) {
+        requestCallback(error, result);
+      }
+    });
+  }
+
+  _callAsyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs, callback) {
+    const virtualEntries = funcOptions.synthesizeDirectory && this._virtualEntriesFor(funcOptions, filepath, otherArgs);
+
+    if (this.isHidden(filepath)) {
+      return process.nextTick(callback, createFSError('ENOENT', funcName, filepath, 'no such file or directory'));
+    }
+
+    if (!virtualEntries) {
+      return this._callAsyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs, callback);
+    }
+
+    this._callAsyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs, (error, result) => {
+      let [finalError, finalResult] = funcOptions.synthesizeDirectory(error, result, virtualEntries);
+
+      if (funcOptions.listsDirectory) {
+        finalResult = this._filterHiddenEntries(filepath, finalResult);
+      }
+
+      callback(finalError, finalResult);
+    });
+  }
+
+  _callAsyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs, callback) {
+    // Transforms get the raw content from each layer, encoding comes after
+    if (funcOptions.transformsContent && this._hasTransforms(filepath)) {
+      const transformOptions = Object.assign({}, funcOptions, { transformsContent: false, transformLayerContent: true });
+
+      return this._callAsyncFuncOnLayers(funcName, transformOptions, filepath, withoutEncoding(otherArgs), (error, content) => {
+        callback(error, error ? undefined : encodeContent(content, otherArgs));
+      });
+    }
+
+    funcOptions = this._applyStrategy(funcName, funcOptions, filepath);
+
+    const errors = [],
+          results = [],
+          attempts = [];
+
+    let stoppedEarly = false,
+        transformError;
+
+    this._iterateOverFilesystemsAsync(filepath, (subpath, filesystem, mountPath, next, aliasIfExist, layer) => {
+      let layerFuncName = funcName;
+
+      if (funcOptions.fallbackFuncName && !hasFilesystemFunc(filesystem, funcName)) {
+        layerFuncName = funcOptions.fallbackFuncName;
+      }
+
+      const handleResult = (error, result) => {
+        errors.push(error);
+        results.push(result);
+        attempts.push({ mountPath, label: labelForLayer(layer), alias: aliasIfExist, subpath, error });
+
+        if (error) {
+          next(error);
+        } else if (result !== undefined) {
+          if (funcOptions.returnFirstValue) {
+            callback(undefined, result);
+
+            stoppedEarly = true;
+            next(error, result, true);  // final true to stop iterating
+          } else {
+            next(error, result);
+          }
+        } else {
+          // No value (and no error) isn't an answer, keep going like the sync version
+          next(error, result);
+        }
+      };
+
+      // Transform errors are passed along as is, instead of falling through
+      const handleTransformedResult = (error, result) => {
+        if (error) {
+          transformError = error;
+          stoppedEarly = true;
+          callback(error);
+          next(error, undefined, true);  // final true to stop iterating
+        } else {
+          handleResult(undefined, result);
+        }
+      };
+
+      callFilesystemFuncAsync(filesystem, layerFuncName, [subpath, ...otherArgs], (error, result) => {
+        if (!error && result && funcOptions.listsDirectory && wantsFileTypes(otherArgs)) {
+          direntsForLayerAsync(filesystem, subpath, result, filepath, handleResult);
+        } else if (!error && result !== undefined && (funcOptions.transformLayerContent || funcOptions.returnsStats)) {
+          this._transformLayerResultAsync(funcOptions, result, filesystem, filepath, mountPath, subpath, layer, handleTransformedResult);
+        } else {
+          handleResult(error, result);
+        }
+      });
+    }, () => {
+      if (transformError) {
+        return;
+      } else if (attempts.length === 0) {
+        callback(createLayersError(funcName, filepath, attempts), undefined);
+
+      } else if (funcOptions.mergeResults) {
+        let [mergedError, mergedResult] = funcOptions.mergeResults(errors, results);
+
+        if (funcOptions.listsDirectory) {
+          mergedResult = this._filterHiddenEntries(filepath, mergedResult);
+        }
+
+        // Layer errors get combined, but custom errors from a strategy are left alone
+        if (mergedError && errors.indexOf(mergedError) !== -1) {
+          mergedError = createLayersError(funcName, filepath, attempts);
+        }
+
+        callback(mergedError, mergedResult);
+
+      } else if (!stoppedEarly) {
+        // If we fell through the whole way and all were errors, make sure we call
+        // the callback with an error combining all of them
+        callback(createLayersError(funcName, filepath, attempts), undefined);
+      }
+    }, funcName);
+
+  }
+
+  _callSyncFunc(funcName, funcOptions, filepath, ...otherArgs) {
+    filepath = this._resolvePath(filepath);
+
+    if (this.followSymlinks && funcOptions.followSymlinks) {
+      filepath = this._resolveSymlinksSync(filepath, {
+        syscall: funcName.replace(/Sync$/, ''),
+        parentOnly: funcOptions.followSymlinks === 'parent'
+      });
+    }
+
+    return this._callSyncFuncOnPath(funcName, funcOptions, filepath, otherArgs);
+  }
+
+  // Same as above, but without following any symlinks in the path
+  _callSyncFuncOnPath(funcName, funcOptions, filepath, otherArgs = []) {
+    const baseFuncName = funcName.replace(/Sync$/, '');
+
+    if (!this.cacheDurations.has(baseFuncName)) {
+      return this._callSyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs);
+    }
+
+    const cacheKey = this._cacheKey(baseFuncName, filepath, otherArgs),
+          cached = this._getCachedResult(cacheKey);
+
+    if (cached) {
+      if (cached.error) {
+        throw cached.error;
+      }
+
+      return cached.result;
+    }
+
+    let error, result;
+
+    try {
+      result = this._callSyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs);
+    } catch (e) {
+      error = e;
+    }
+
+    this._setCachedResult(cacheKey, baseFuncName, filepath, error, result);
+
+    if (error) {
+      throw error;
+    }
+
+    return result;
+  }
+
+  _callSyncFuncOnPathUncached(funcName, funcOptions, filepath, otherArgs) {
+    const virtualEntries = funcOptions.synthesizeDirectory && this._virtualEntriesFor(funcOptions, filepath, otherArgs);
+
+    if (this.isHidden(filepath)) {
+      throw createFSError('ENOENT', funcName.replace(/Sync$/, ''), filepath, 'no such file or directory');
+    }
+
+    if (!virtualEntries) {
+      return this._callSyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs);
+    }
+
+    let error, result;
+
+    try {
+      result = this._callSyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs);
+    } catch (e) {
+      error = e;
+    }
+
+    let [finalError, finalResult] = funcOptions.synthesizeDirectory(error, result, virtualEntries);
+
+    if (funcOptions.listsDirectory) {
+      finalResult = this._filterHiddenEntries(filepath, finalResult);
+    }
+
+    if (finalError) {
+      throw finalError;
+    }
+
+    return finalResult;
+  }
+
+  _callSyncFuncOnLayers(funcName, funcOptions, filepath, otherArgs) {
+    // Transforms get the raw content from each layer, encoding comes after
+    if (funcOptions.transformsContent && this._hasTransforms(filepath)) {
+      const transformOptions = Object.assign({}, funcOptions, { transformsContent: false, transformLayerContent: true }),
+            content = this._callSyncFuncOnLayers(funcName, transformOptions, filepath, withoutEncoding(otherArgs));
+
+      return encodeContent(content, otherArgs);
+    }
+
+    funcOptions = this._applyStrategy(funcName, funcOptions, filepath);
+
+    const syscall = funcName.replace(/Sync$/, ''),
+          errors = [],
+          results = [],
+          attempts = [];
+
+    const finalResult = this._iterateOverFilesystemsSync(filepath, (subpath, filesystem, mountPath, aliasIfExist, layer) => {
+      let layerFuncName = funcName;
+
+      if (funcOptions.fallbackFuncName && !filesystem[funcName]) {
+        layerFuncName = `${funcOptions.fallbackFuncName}Sync`;
+      }
+
+      if (filesystem[layerFuncName]) {
+        let result, error;
+
+        try {
+          result = filesystem[layerFuncName](subpath, ...otherArgs);
+
+          if (result && funcOptions.listsDirectory && wantsFileTypes(otherArgs)) {
+            result = direntsForLayerSync(filesystem, subpath, result, filepath);
+          }
+        } catch (e) {
+          error = e;
+        }
+
+        // Transform errors are thrown as is, instead of falling through
+        if (result !== undefined && (funcOptions.transformLayerContent || funcOptions.returnsStats)) {
+          result = this._transformLayerResultSync(funcOptions, result, filesystem, filepath, mountPath, subpath, layer);
+        }
+
+        results.push(result);
+        errors.push(error);
+        attempts.push({ mountPath, label: labelForLayer(layer), alias: aliasIfExist, subpath, error });
+
+        if (funcOptions.returnFirstValue && result !== undefined) {
+          return result;
+        }
+      } else {
+        const error = new Error('filessytem has no such function: ' + funcName);
+        attempts.push({ mountPath, label: labelForLayer(layer), alias: aliasIfExist, subpath, error });
+      }
+    }, syscall);
+
+    if (funcOptions.mergeResults) {
+      let [mergedError, mergedResult] = funcOptions.mergeResults(errors, results);
+
+      if (funcOptions.listsDirectory) {
+        mergedResult = this._filterHiddenEntries(filepath, mergedResult);
+      }
+
+      if (mergedResult === undefined && mergedError) {
+        // Layer errors get combined, but custom errors from a strategy are left alone
+        throw errors.indexOf(mergedError) !== -1 ? createLayersError(syscall, filepath, attempts) : mergedError;
+      } else {
+        return mergedResult;
+      }
+    } else if (finalResult === undefined) {
+      // it should have returned earlier, must have only been errors, so throw
+      // an error combining all of them
+      throw createLayersError(syscall, filepath, attempts);
+    } else {
+      return finalResult;
+    }
+  }
+
+
+  // Resolves every symlink in a path against the merged namespace (so absolute
+  // link targets can point into other mounts). Any part of the path that can't
+  // be lstat-ed is left as-is, unless `strict` is set (like for realpath).
+  _resolveSymlinksSync(filepath, options) {
+    const lstatOptions = SUPPORTED_FS_FUNCTIONS.get('lstat'),
+          readlinkOptions = SUPPORTED_FS_FUNCTIONS.get('readlink');
+
+    if (options.parentOnly) {
+      if (filepath === '/') {
+        return filepath;
+      }
+
+      const parent = this._resolveSymlinksSync(path.posix.dirname(filepath), options);
+      return path.posix.join(parent, path.posix.basename(filepath));
+    }
+
+    let remaining = filepath.split('/').filter(Boolean),
+        resolved = '/',
+        linkCount = 0;
+
+    while (remaining.length > 0) {
+      const candidate = path.posix.join(resolved, remaining.shift());
+      let stats;
+
+      try {
+        stats = this._callSyncFuncOnPath('lstatSync', lstatOptions, candidate);
+      } catch (e) {
+        if (options.strict) {
+          throw e;
+        }
+
+        return path.posix.join(candidate, ...remaining);
+      }
+
+      if (isSymbolicLink(stats)) {
+        if (++linkCount > MAX_SYMLINKS) {
+          throw createFSError('ELOOP', options.syscall, filepath, 'too many symbolic links encountered');
+        }
+
+        const target = this._callSyncFuncOnPath('readlinkSync', readlinkOptions, candidate).toString();
+
+        // Start over from the root with the target, plus whatever was left
+        remaining = path.posix.resolve(resolved, target).split('/').filter(Boolean).concat(remaining);
+        resolved = '/';
+      } else {
+        resolved = candidate;
+      }
+    }
+
+    return resolved;
+  }
+
+  _resolveSymlinksAsync(filepath, options, callback) {
+    const lstatOptions = SUPPORTED_FS_FUNCTIONS.get('lstat'),
+          readlinkOptions = SUPPORTED_FS_FUNCTIONS.get('readlink');
+
+    if (options.parentOnly) {
+      if (filepath === '/') {
+        return callback(undefined, filepath);
+      }
+
+      return this._resolveSymlinksAsync(path.posix.dirname(filepath), options, (error, parent) => {
+        callback(error, error ? undefined : path.posix.join(parent, path.posix.basename(filepath)));
+      });
+    }
+
+    let remaining = filepath.split('/').filter(Boolean),
+        resolved = '/',
+        linkCount = 0;
+
+    const next = () => {
+      if (remaining.length === 0) {
+        return callback(undefined, resolved);
+      }
+
+      const candidate = path.posix.join(resolved, remaining.shift());
+
+      this._callAsyncFuncOnPath('lstat', lstatOptions, candidate, [], (error, stats) => {
+        if (error) {
+          return options.strict ? callback(error) : callback(undefined, path.posix.join(candidate, ...remaining));
+        } else if (!isSymbolicLink(stats)) {
+          resolved = candidate;
+          return next();
+        } else if (++linkCount > MAX_SYMLINKS) {
+          return callback(createFSError('ELOOP', options.syscall, filepath, 'too many symbolic links encountered'));
+        }
+
+        this._callAsyncFuncOnPath('readlink', readlinkOptions, candidate, [], (error, target) => {
+          if (error) {
+            return callback(error);
+          }
+
+          // Start over from the root with the target, plus whatever was left
+          remaining = path.posix.resolve(resolved, target.toString()).split('/').filter(Boolean).concat(remaining);
+          resolved = '/';
+          next();
+        });
+      });
+    };
+
+    next();
+  }
+
+  realpathSync(filepath) {
+    return this._resolveSymlinksSync(this._resolvePath(filepath), { syscall: 'realpath', strict: true });
+  }
+
+  realpath(filepath, ...otherArgs) {
+    const callback = otherArgs.pop();
+    this._resolveSymlinksAsync(this._resolvePath(filepath), { syscall: 'realpath', strict: true }, callback);
+  }
+
+  // Finds the highest precedence layer marked as `writable` for a path. Reads
+  // can fall through many layers, but writes only ever go to one of them.
+  _findWriteLayer(syscall, filepath) {
+    filepath = this._resolvePath(filepath);
+
+    for (let [mountPath, filesystem, subpath, aliasIfExist, layer] of this._gatherStuffToIterateOver(filepath)) {
+      // Read-only layers also keep writes from falling to layers beneath them
+      if (layer.readOnly) {
+        throw createFSError('EROFS', syscall, filepath, `read-only file system (${labelForLayer(layer)})`);
+      } else if (layer.writable) {
+        return [filesystem, subpath];
+      }
+    }
+
+    throw createFSError('EROFS', syscall, filepath, 'read-only file system (no writable layer)');
+  }
+
+  // Returns the write layer filesystem and translated subpaths for all the path
+  // arguments of a write function (e.g. both the old and new path of rename)
+  _resolveWriteTargets(funcName, filepaths) {
+    const syscall = funcName.replace(/Sync$/, ''),
+          subpaths = [];
+
+    let targetFilesystem;
+
+    for (let filepath of filepaths) {
+      const [filesystem, subpath] = this._findWriteLayer(syscall, filepath);
+
+      if (targetFilesystem && targetFilesystem !== filesystem) {
+        throw createFSError('EXDEV', syscall, filepath, 'cross-device link not permitted');
+      }
+
+      targetFilesystem = filesystem;
+      subpaths.push(subpath);
+    }
+
+    return [targetFilesystem, subpaths];
+  }
+
+  // Removing a path needs to look at the whole merged view, since the path may
+  // only exist in lower layers (in which case the whiteout does all the work).
+  // Errors are reported for the removal, not for the lookups that found them.
+  _ensureRemovableSync(funcName, filepath) {
+    const syscall = funcName.replace(/Sync$/, '');
+
+    let error;
+
+    try {
+      if (syscall === 'rmdir') {
+        error = removeDirectoryError(filepath, this.readdirSync(filepath));
+      } else {
+        error = unlinkError(filepath, this.lstatSync(filepath));
+      }
+    } catch (e) {
+      error = withSyscall(e, syscall, filepath);
+    }
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  _ensureRemovableAsync(funcName, filepath, callback) {
+    if (funcName === 'rmdir') {
+      this.readdir(filepath, (error, entries) => {
+        callback(error ? withSyscall(error, 'rmdir', filepath) : removeDirectoryError(filepath, entries));
+      });
+    } else {
+      this.lstat(filepath, (error, stats) => {
+        callback(error ? withSyscall(error, 'unlink', filepath) : unlinkError(filepath, stats));
+      });
+    }
+  }
+
+  _updateWhiteouts(funcOptions, filepaths) {
+    if (funcOptions.createsPath) {
+      this.unhide(filepaths[0]);
+    } else if (funcOptions.removesPath) {
+      this.hide(filepaths[0]);
+    } else if (funcOptions.movesPath) {
+      this.hide(filepaths[0]);
+      this.unhide(filepaths[1]);
+    }
+  }
+
+  // Renames happen within the write layer, so a file that only exists in lower
+  // layers is copied up first (same as opening it for writing), and so is the
+  // directory it's moved into. Directories aren't copied up, since that would
+  // mean copying everything beneath them.
+  _prepareRenameSync(filepaths, filesystem, subpaths) {
+    const [oldPath, newPath] = filepaths,
+          [oldSubpath, newSubpath] = subpaths;
+
+    if (!layerHasPath(filesystem, oldSubpath) && this.existsSync(oldPath)) {
+      if (this.statSync(oldPath).isDirectory()) {
+        throw renameDirectoryError(oldPath);
+      }
+
+      const content = this.readFileSync(oldPath);
+
+      mkdirpLayerSync(filesystem, path.posix.dirname(oldSubpath));
+      filesystem.writeFileSync(oldSubpath, content);
+    }
+
+    if (!layerHasPath(filesystem, path.posix.dirname(newSubpath)) && this.existsSync(path.posix.dirname(newPath))) {
+      mkdirpLayerSync(filesystem, path.posix.dirname(newSubpath));
+    }
+  }
+
+  _prepareRename(filepaths, filesystem, subpaths, callback) {
+    const [oldPath, newPath] = filepaths,
+          [oldSubpath, newSubpath] = subpaths;
+
+    const prepareNewPath = () => {
+      layerHasPathAsync(filesystem, path.posix.dirname(newSubpath), (layerHasParent) => {
+        if (layerHasParent) {
+          return callback();
+        }
+
+        this.exists(path.posix.dirname(newPath), (parentExists) => {
+          parentExists ? mkdirpLayerAsync(filesystem, path.posix.dirname(newSubpath), callback) : callback();
+        });
+      });
+    };
+
+    layerHasPathAsync(filesystem, oldSubpath, (layerHasOldPath) => {
+      if (layerHasOldPath) {
+        return prepareNewPath();
+      }
+
+      this.stat(oldPath, (error, stats) => {
+        if (error) {
+          // Whatever the write layer says about it is the error for rename
+          return prepareNewPath();
+        } else if (stats.isDirectory()) {
+          return callback(renameDirectoryError(oldPath));
+        }
+
+        this.readFile(oldPath, (error, content) => {
+          if (error) {
+            return callback(error);
+          }
+
+          mkdirpLayerAsync(filesystem, path.posix.dirname(oldSubpath), (error) => {
+            if (error) {
+              return callback(error);
+            }
+
+            callFilesystemFuncAsync(filesystem, 'writeFile', [oldSubpath, content], (error) => error ? callback(error) : prepareNewPath());
+          });
+        });
+      });
+    });
+  }
+
+  _callAsyncWriteFunc(funcName, funcOptions, ...args) {
+    const callback = args.pop(),
+          pathArgCount = funcOptions.pathArgCount || 1,
+          filepaths = args.slice(0, pathArgCount).map(filepath => this._resolvePath(filepath));
+
+    let filesystem, subpaths;
+
+    try {
+      [filesystem, subpaths] = this._resolveWriteTargets(funcName, filepaths);
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const write = () => {
+      callFilesystemFuncAsync(filesystem, funcName, [...subpaths, ...args.slice(pathArgCount)], (error, result) => {
+        // Removing something that only exists in a lower layer is fine, the
+        // whiteout is what hides it
+        if (error && !(funcOptions.removesPath && error.code === 'ENOENT')) {
+          return callback(error);
+        }
+
+        this._updateWhiteouts(funcOptions, filepaths);
+        callback(undefined, result);
+      });
+    };
+
+    if (funcOptions.removesPath) {
+      this._ensureRemovableAsync(funcName, filepaths[0], (error) => error ? callback(error) : write());
+    } else if (funcOptions.movesPath) {
+      this._prepareRename(filepaths, filesystem, subpaths, (error) => error ? callback(error) : write());
+    } else {
+      write();
+    }
+  }
+
+  _callSyncWriteFunc(funcName, funcOptions, ...args) {
+    const pathArgCount = funcOptions.pathArgCount || 1,
+          filepaths = args.slice(0, pathArgCount).map(filepath => this._resolvePath(filepath)),
+          [filesystem, subpaths] = this._resolveWriteTargets(funcName, filepaths);
+
+    let result;
+
+    if (!filesystem[funcName]) {
+      throw new Error('filessytem has no such function: ' + funcName);
+    }
+
+    if (funcOptions.removesPath) {
+      this._ensureRemovableSync(funcName, filepaths[0]);
+    } else if (funcOptions.movesPath) {
+      this._prepareRenameSync(filepaths, filesystem, subpaths);
+    }
+
+    try {
+      result = filesystem[funcName](...subpaths, ...args.slice(pathArgCount));
+    } catch (e) {
+      // Same as async, the whiteout hides anything left in lower layers
+      if (!funcOptions.removesPath || e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+
+    this._updateWhiteouts(funcOptions, filepaths);
+    return result;
+  }
+
+
+  // Streams are resolved to the first layer that has the file (via stat), then
+  // piped from that layer's own stream, or buffered through readFile if the
+  // layer has no stream support
+  createReadStream(filepath, options = {}) {
+    filepath = this._resolvePath(filepath);
+
+    const readStream = new PassThrough();
+
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    readStream.path = filepath;
+
+    if (options.encoding) {
+      readStream.setEncoding(options.encoding);
+      options = Object.assign({}, options, { encoding: undefined });
+    }
+
+    const emitError = (error) => readStream.emit('error', error);
+
+    if (this.isHidden(filepath)) {
+      process.nextTick(emitError, createFSError('ENOENT', 'open', filepath, 'no such file or directory'));
+      return readStream;
+    }
+
+    const attempts = [];
+    let found;
+
+    this._iterateOverFilesystemsAsync(filepath, (subpath, filesystem, mountPath, next, aliasIfExist, layer) => {
+      callFilesystemFuncAsync(filesystem, 'stat', [subpath], (error, stats) => {
+        if (!error && stats.isDirectory()) {
+          error = createFSError('EISDIR', 'read', filepath, 'illegal operation on a directory');
+        }
+
+        attempts.push({ mountPath, label: labelForLayer(layer), alias: aliasIfExist, subpath, error });
+
+        if (error) {
+          next(error);
+        } else {
+          found = [filesystem, subpath, mountPath, layer];
+          next(undefined, stats, true);  // final true to stop iterating
+        }
+      });
+    }, () => {
+      // No mounts matching calls back synchronously, before there are listeners
+      if (!found) {
+        return process.nextTick(emitError, createLayersError('open', filepath, attempts));
+      }
+
+      const [filesystem, subpath, mountPath, layer] = found,
+            transforms = this._transformsFor(filepath, layer);
+
+      // Transforms need the whole file, so those get buffered too
+      if (typeof filesystem.createReadStream === 'function' && transforms.length === 0) {
+        filesystem.createReadStream(subpath, options)
+          .on('error', emitError)
+          .pipe(readStream);
+      } else {
+        callFilesystemFuncAsync(filesystem, 'readFile', [subpath], (error, content) => {
+          if (!error && transforms.length > 0) {
+            try {
+              content = this._transformContent(content, transforms, { path: filepath, mountPath, subpath, layer, label: labelForLayer(layer) });
+            } catch (e) {
+              error = e;
+            }
+          }
+
+          if (error) {
+            return emitError(error);
+          }
+
+          const start = options.start || 0,
+                end = options.end === undefined ? content.length : options.end + 1;
+
+          readStream.end(content.slice(start, end));
+        });
+      }
+    });
+
+    return readStream;
+  }
+
+  // Write streams go to the write layer, same as writeFile. Layers without
+  // stream support are written through a merged fd, so `flags` (like 'a' or
+  // 'wx') and `mode` work the same as they do for open.
+  createWriteStream(filepath, options) {
+    filepath = this._resolvePath(filepath);
+    options = typeof options === 'string' ? { encoding: options } : (options || {});
+
+    let filesystem, subpath;
+
+    try {
+      [filesystem, [subpath]] = this._resolveWriteTargets('open', [filepath]);
+    } catch (e) {
+      const erroredStream = new PassThrough();
+      process.nextTick(() => erroredStream.emit('error', e));
+      return erroredStream;
+    }
+
+    if (typeof filesystem.createWriteStream === 'function') {
+      return filesystem.createWriteStream(subpath, options)
+        .on('finish', () => this.unhide(filepath));
+    }
+
+    let fd;
+
+    const writeStream = new Writable({
+      defaultEncoding: options.encoding || 'utf8',
+
+      construct: (callback) => {
+        this.open(filepath, options.flags || 'w', options.mode, (error, openedFd) => {
+          fd = openedFd;
+          callback(error);
+        });
+      },
+
+      write: (chunk, encoding, callback) => {
+        this.write(fd, chunk, (error) => callback(error));
+      },
+
+      final: (callback) => {
+        const closingFd = fd;
+
+        fd = undefined;
+        this.close(closingFd, callback);
+      },
+
+      destroy: (error, callback) => {
+        if (fd === undefined) {
+          return callback(error);
+        }
+
+        this.close(fd, () => callback(error));
+        fd = undefined;
+      }
+    });
+
+    writeStream.path = filepath;
+    return writeStream;
+  }
+
+
+  // File descriptors are virtual: each merged fd maps to the layer that
+  // resolved the path when it was opened (the winning layer for reading, the
+  // write layer for anything else). Layers with their own fds (like node's fs)
+  // are used as is, others (like MemoryFileSystem) get emulated fds that read
+  // the whole file on first use and write it back on close.
+  openSync(filepath, flags = 'r', mode) {
+    filepath = this._resolvePath(filepath);
+
+    const openFlags = parseOpenFlags(flags),
+          descriptor = openFlags.write ?
+            this._openForWritingSync(filepath, flags, openFlags, mode) :
+            this._openForReadingSync(filepath, flags, mode);
+
+    return this._addFileDescriptor(descriptor, openFlags);
+  }
+
+  open(filepath, ...args) {
+    const callback = args.pop(),
+          [flags = 'r', mode] = args;
+
+    let openFlags;
+
+    filepath = this._resolvePath(filepath);
+
+    try {
+      openFlags = parseOpenFlags(flags);
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const opened = (error, descriptor) => {
+      if (error) {
+        callback(error);
+      } else {
+        callback(undefined, this._addFileDescriptor(descriptor, openFlags));
+      }
+    };
+
+    if (openFlags.write) {
+      this._openForWriting(filepath, flags, openFlags, mode, opened);
+    } else {
+      this._openForReading(filepath, flags, mode, opened);
+    }
+  }
+
+  _addFileDescriptor(descriptor, openFlags) {
+    const fd = this.nextFileDescriptor++;
+
+    this.fileDescriptors.set(fd, Object.assign(descriptor, { flags: openFlags, position: 0 }));
+    return fd;
+  }
+
+  _getFileDescriptor(fd, syscall, access) {
+    const descriptor = this.fileDescriptors.get(fd);
+
+    if (!descriptor || (access && !descriptor.flags[access])) {
+      throw badFileDescriptorError(syscall);
+    }
+
+    return descriptor;
+  }
+
+  // Transformed files are always emulated, since the layer's own fd would
+  // read the untransformed content
+  _readDescriptorFor(winner) {
+    const descriptor = { path: winner.path, filesystem: winner.filesystem, subpath: winner.subpath, writable: false };
+
+    return [descriptor, !winner.virtual && supportsFileDescriptors(winner.filesystem) && !this._hasTransforms(winner.path)];
+  }
+
+  _openForReadingSync(filepath, flags, mode) {
+    const [descriptor, useLayerFd] = this._readDescriptorFor(this._whichSync(filepath, 'open'));
+
+    if (useLayerFd) {
+      descriptor.layerFd = descriptor.filesystem.openSync(descriptor.subpath, flags, mode);
+    }
+
+    return descriptor;
+  }
+
+  _openForReading(filepath, flags, mode, callback) {
+    this._which(filepath, 'open', (error, winner) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const [descriptor, useLayerFd] = this._readDescriptorFor(winner);
+
+      if (!useLayerFd) {
+        return callback(undefined, descriptor);
+      }
+
+      callFilesystemFuncAsync(descriptor.filesystem, 'open', [descriptor.subpath, flags, mode], (error, layerFd) => {
+        descriptor.layerFd = layerFd;
+        callback(error, descriptor);
+      });
+    });
+  }
+
+  // Files that only exist in lower layers are copied up to the write layer
+  // first (unless they're truncated anyway), so they can be changed in place
+  _openForWritingSync(filepath, flags, openFlags, mode) {
+    const [filesystem, [subpath]] = this._resolveWriteTargets('open', [filepath]),
+          descriptor = { path: filepath, filesystem, subpath, writable: true };
+
+    let stats;
+
+    try {
+      stats = this.statSync(filepath);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+
+    const error = openForWritingError(filepath, openFlags, stats);
+
+    if (error) {
+      throw error;
+    }
+
+    if (stats && !openFlags.truncate && !layerHasPath(filesystem, subpath)) {
+      const content = this.readFileSync(filepath);
+
+      mkdirpLayerSync(filesystem, path.posix.dirname(subpath));
+      filesystem.writeFileSync(subpath, content);
+    }
+
+    if (supportsFileDescriptors(filesystem)) {
+      descriptor.layerFd = filesystem.openSync(subpath, flags, mode);
+    } else if (!stats || openFlags.truncate) {
+      filesystem.writeFileSync(subpath, '');
+      descriptor.content = Buffer.alloc(0);
+    }
+
+    this.unhide(filepath);
+    return descriptor;
+  }
+
+  _openForWriting(filepath, flags, openFlags, mode, callback) {
+    let filesystem, subpath;
+
+    try {
+      [filesystem, [subpath]] = this._resolveWriteTargets('open', [filepath]);
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const descriptor = { path: filepath, filesystem, subpath, writable: true };
+
+    const opened = (error) => {
+      if (error) {
+        return callback(error);
+      }
+
+      this.unhide(filepath);
+      callback(undefined, descriptor);
+    };
+
+    const openLayer = (stats) => {
+      if (supportsFileDescriptors(filesystem)) {
+        callFilesystemFuncAsync(filesystem, 'open', [subpath, flags, mode], (error, layerFd) => {
+          descriptor.layerFd = layerFd;
+          opened(error);
+        });
+      } else if (!stats || openFlags.truncate) {
+        descriptor.content = Buffer.alloc(0);
+        callFilesystemFuncAsync(filesystem, 'writeFile', [subpath, ''], opened);
+      } else {
+        opened();
+      }
+    };
+
+    this.stat(filepath, (error, stats) => {
+      if (error && error.code !== 'ENOENT') {
+        return callback(error);
+      }
+
+      error = openForWritingError(filepath, openFlags, stats);
+
+      if (error) {
+        return callback(error);
+      } else if (!stats || openFlags.truncate) {
+        return openLayer(stats);
+      }
+
+      callFilesystemFuncAsync(filesystem, 'stat', [subpath], (missingFromLayer) => {
+        if (!missingFromLayer) {
+          return openLayer(stats);
+        }
+
+        this.readFile(filepath, (error, content) => {
+          if (error) {
+            return callback(error);
+          }
+
+          mkdirpLayerAsync(filesystem, path.posix.dirname(subpath), (error) => {
+            if (error) {
+              return callback(error);
+            }
+
+            callFilesystemFuncAsync(filesystem, 'writeFile', [subpath, content], (error) => error ? callback(error) : openLayer(stats));
+          });
+        });
+      });
+    });
+  }
+
+  // Emulated fds load their content on first use (a copy, so nothing changes
+  // in the layer until close)
+  _loadDescriptorContentSync(descriptor) {
+    if (descriptor.content === undefined) {
+      const content = descriptor.writable ? descriptor.filesystem.readFileSync(descriptor.subpath) : this.readFileSync(descriptor.path);
+      descriptor.content = Buffer.from(content);
+    }
+  }
+
+  _loadDescriptorContent(descriptor, callback) {
+    if (descriptor.content !== undefined) {
+      return process.nextTick(callback);
+    }
+
+    const loaded = (error, content) => {
+      if (!error) {
+        descriptor.content = Buffer.from(content);
+      }
+
+      callback(error);
+    };
+
+    if (descriptor.writable) {
+      callFilesystemFuncAsync(descriptor.filesystem, 'readFile', [descriptor.subpath], loaded);
+    } else {
+      this.readFile(descriptor.path, loaded);
+    }
+  }
+
+  readSync(fd, buffer, ...args) {
+    const descriptor = this._getFileDescriptor(fd, 'read', 'read'),
+          [offset, length, position] = normalizeReadArgs(buffer, args);
+
+    if (descriptor.layerFd !== undefined) {
+      return descriptor.filesystem.readSync(descriptor.layerFd, buffer, offset, length, position);
+    }
+
+    this._loadDescriptorContentSync(descriptor);
+    return readFromContent(descriptor, buffer, offset, length, position);
+  }
+
+  read(fd, buffer, ...args) {
+    const callback = args.pop();
+
+    let descriptor;
+
+    try {
+      descriptor = this._getFileDescriptor(fd, 'read', 'read');
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const [offset, length, position] = normalizeReadArgs(buffer, args);
+
+    if (descriptor.layerFd !== undefined) {
+      return callFilesystemFuncAsync(descriptor.filesystem, 'read', [descriptor.layerFd, buffer, offset, length, position], (error, bytesRead) => {
+        callback(error, bytesRead, buffer);
+      });
+    }
+
+    this._loadDescriptorContent(descriptor, (error) => {
+      if (error) {
+        return callback(error);
+      }
+
+      callback(undefined, readFromContent(descriptor, buffer, offset, length, position), buffer);
+    });
+  }
+
+  writeSync(fd, data, ...args) {
+    const descriptor = this._getFileDescriptor(fd, 'write', 'write'),
+          [buffer, position] = normalizeWriteArgs(data, args);
+
+    if (descriptor.layerFd === undefined) {
+      this._loadDescriptorContentSync(descriptor);
+      return writeToContent(descriptor, buffer, position);
+    }
+
+    const bytesWritten = descriptor.filesystem.writeSync(descriptor.layerFd, buffer, 0, buffer.length, position);
+    this._invalidateCache(descriptor.path);
+    return bytesWritten;
+  }
+
+  write(fd, data, ...args) {
+    const callback = args.pop();
+
+    let descriptor;
+
+    try {
+      descriptor = this._getFileDescriptor(fd, 'write', 'write');
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const [buffer, position] = normalizeWriteArgs(data, args);
+
+    if (descriptor.layerFd !== undefined) {
+      return callFilesystemFuncAsync(descriptor.filesystem, 'write', [descriptor.layerFd, buffer, 0, buffer.length, position], (error, bytesWritten) => {
+        this._invalidateCache(descriptor.path);
+        callback(error, bytesWritten, data);
+      });
+    }
+
+    this._loadDescriptorContent(descriptor, (error) => {
+      if (error) {
+        return callback(error);
+      }
+
+      callback(undefined, writeToContent(descriptor, buffer, position), data);
+    });
+  }
+
+  // Emulated fds report the size of what has been written so far
+  fstatSync(fd, options) {
+    const descriptor = this._getFileDescriptor(fd, 'fstat');
+
+    if (descriptor.layerFd !== undefined) {
+      return descriptor.filesystem.fstatSync(descriptor.layerFd, options);
+    }
+
+    const stats = descriptor.writable ? descriptor.filesystem.statSync(descriptor.subpath) : this.statSync(descriptor.path);
+    return descriptor.content ? withSize(stats, descriptor.content.length) : stats;
+  }
+
+  fstat(fd, ...args) {
+    const callback = args.pop();
+
+    let descriptor;
+
+    try {
+      descriptor = this._getFileDescriptor(fd, 'fstat');
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    const statted = (error, stats) => {
+      callback(error, !error && descriptor.content ? withSize(stats, descriptor.content.length) : stats);
+    };
+
+    if (descriptor.layerFd !== undefined) {
+      callFilesystemFuncAsync(descriptor.filesystem, 'fstat', [descriptor.layerFd, ...args], callback);
+    } else if (descriptor.writable) {
+      callFilesystemFuncAsync(descriptor.filesystem, 'stat', [descriptor.subpath], statted);
+    } else {
+      this.stat(descriptor.path, statted);
+    }
+  }
+
+  closeSync(fd) {
+    const descriptor = this._getFileDescriptor(fd, 'close');
+
+    this.fileDescriptors.delete(fd);
+
+    if (descriptor.layerFd !== undefined) {
+      descriptor.filesystem.closeSync(descriptor.layerFd);
+    } else if (descriptor.dirty) {
+      descriptor.filesystem.writeFileSync(descriptor.subpath, descriptor.content);
+    }
+
+    if (descriptor.writable) {
+      this._invalidateCache(descriptor.path);
+    }
+  }
+
+  close(fd, callback) {
+    let descriptor;
+
+    try {
+      descriptor = this._getFileDescriptor(fd, 'close');
+    } catch (e) {
+      return process.nextTick(callback, e);
+    }
+
+    this.fileDescriptors.delete(fd);
+
+    const closed = (error) => {
+      if (descriptor.writable) {
+        this._invalidateCache(descriptor.path);
+      }
+
+      callback(error);
+    };
+
+    if (descriptor.layerFd !== undefined) {
+      callFilesystemFuncAsync(descriptor.filesystem, 'close', [descriptor.layerFd], closed);
+    } else if (descriptor.dirty) {
+      callFilesystemFuncAsync(descriptor.filesystem, 'writeFile', [descriptor.subpath, descriptor.content], closed);
+    } else {
+      process.nextTick(closed);
+    }
+  }
+
+
+  // Watches every layer a path maps to that supports it. Native filesystems use
+  // node's watcher, and custom filesystems can implement the same
+  // `watch(subpath, options, listener)` hook (and may report absolute subpaths,
+  // which get translated back into merged paths).
+  watch(filepath, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    } else if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    filepath = this._resolvePath(filepath);
+    options = options || {};
+
+    const watcher = new MergedWatcher();
+    let watchingDirectory = false;
+
+    try {
+      watchingDirectory = this.statSync(filepath).isDirectory();
+    } catch (e) {}
+
+    if (listener) {
+      watcher.on('change', listener);
+    }
+
+    const firstError = this._watchLayers(watcher, filepath, options, watchingDirectory);
+
+    if (watcher.layerWatchers.length === 0) {
+      throw firstError || createFSError('ENOENT', 'watch', filepath, 'no such file or directory');
+    }
+
+    // Re-subscribe whenever the layers behind the watched path change
+    const onMountChange = ({ mountPath }) => {
+      if (!pathIsWithin(filepath, mountPath) && !pathIsWithin(mountPath, filepath)) {
+        return;
+      }
+
+      watcher._closeLayerWatchers();
+      this._watchLayers(watcher, filepath, options, watchingDirectory);
+
+      const filename = pathIsWithin(filepath, mountPath) ? path.posix.basename(filepath) : path.posix.relative(filepath, mountPath);
+      watcher.emit('change', 'rename', filename);
+    };
+
+    this.mountChangeHandlers.add(onMountChange);
+    watcher.once('close', () => this.mountChangeHandlers.delete(onMountChange));
+
+    return watcher;
+  }
+
+  // Subscribes to every layer the path maps to, returning the first error (if any)
+  _watchLayers(watcher, filepath, options, watchingDirectory) {
+    let firstError;
+
+    for (let [mountPath, filesystem, subpath, aliasIfExist, layer] of this._gatherStuffToIterateOver(filepath)) {
+      if (typeof filesystem.watch !== 'function') {
+        continue;
+      }
+
+      const source = { mountPath, alias: aliasIfExist, layer, watchingDirectory };
+      let layerWatcher;
+
+      try {
+        layerWatcher = filesystem.watch(subpath, options, (eventType, filename) => {
+          this._emitWatchEvent(watcher, filepath, source, eventType, filename);
+        });
+      } catch (e) {
+        firstError = firstError || e;
+        continue;
+      }
+
+      if (layerWatcher && typeof layerWatcher.on === 'function') {
+        layerWatcher.on('error', (error) => watcher.emit('error', error));
+      }
+
+      watcher.layerWatchers.push(layerWatcher);
+    }
+
+    return firstError;
+  }
+
+  // Translates a subpath from a layer back into a merged path (or undefined if
+  // it is outside of that layer's alias)
+  _toMergedPath(mountPath, alias, subpath) {
+    if (alias) {
+      const relativePath = path.posix.relative(alias, subpath);
+
+      if (relativePath === '..' || relativePath.indexOf('../') === 0) {
+        return undefined;
+      }
+
+      subpath = `/${relativePath}`;
+    }
+
+    return path.posix.join(mountPath, subpath);
+  }
+
+  _emitWatchEvent(watcher, filepath, source, eventType, filename) {
+    let eventPath = filepath;
+
+    if (filename && filename[0] === '/') {
+      eventPath = this._toMergedPath(source.mountPath, source.alias, filename.toString());
+    } else if (filename && source.watchingDirectory) {
+      eventPath = path.posix.join(filepath, filename.toString());
+    }
+
+    if (!eventPath || this.isHidden(eventPath)) {
+      return;
+    }
+
+    // Ignore changes in layers that are shadowed by a higher precedence layer
+    for (let [mountPath, filesystem, subpath, aliasIfExist, layer] of this._gatherStuffToIterateOver(eventPath)) {
+      if (layer === source.layer && mountPath === source.mountPath) {
+        break;
+      } else if (layerHasPath(filesystem, subpath)) {
+        return;
+      }
+    }
+
+    if (eventPath === filepath) {
+      watcher.emit('change', eventType, path.posix.basename(filepath));
+    } else {
+      watcher.emit('change', eventType, path.posix.relative(filepath, eventPath));
+    }
+  }
+
+  // Polls the merged stat, so precedence between layers (and whiteouts) are
+  // handled just like every other read
+  watchFile(filepath, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    }
+
+    filepath = this._resolvePath(filepath);
+    options = Object.assign({ interval: 5007, persistent: true }, options);
+
+    let statWatcher = this.fileWatchers.get(filepath);
+
+    if (!statWatcher) {
+      let previous = this._statForWatchFile(filepath);
+
+      statWatcher = new EventEmitter();
+      statWatcher.timer = setInterval(() => {
+        const current = this._statForWatchFile(filepath);
+
+        if (statsChanged(current, previous)) {
+          statWatcher.emit('change', current, previous);
+          previous = current;
+        }
+      }, options.interval);
+
+      if (!options.persistent) {
+        statWatcher.timer.unref();
+      }
+
+      this.fileWatchers.set(filepath, statWatcher);
+    }
+
+    statWatcher.on('change', listener);
+    return statWatcher;
+  }
+
+  unwatchFile(filepath, listener) {
+    filepath = this._resolvePath(filepath);
+
+    const statWatcher = this.fileWatchers.get(filepath);
+
+    if (!statWatcher) {
+      return;
+    } else if (listener) {
+      statWatcher.removeListener('change', listener);
+    } else {
+      statWatcher.removeAllListeners('change');
+    }
+
+    if (statWatcher.listenerCount('change') === 0) {
+      clearInterval(statWatcher.timer);
+      this.fileWatchers.delete(filepath);
+    }
+  }
+
+  // Like node, missing files are reported with zeroed out stats
+  _statForWatchFile(filepath) {
+    try {
+      return this.statSync(filepath);
+    } catch (e) {
+      return new SyntheticStats(0, new Date(0));
+    }
+  }
+
+
+  // Walks the merged tree once (depth first, in name order), yielding
+  // `{ path, dirent, depth }` for everything under `root`. Options are
+  // `ignore` globs (names, or paths relative to root), `maxDepth`, `crossMounts: false` to not
+  // descend into other mount points, and `withLayer` to add the layer each
+  // entry comes from (like `which`).
+  *walkSync(root = '/', options = {}) {
+    yield* this._walkSync(this._resolvePath(root), options, () => true);
+  }
+
+  *_walkSync(root, options, shouldDescend, dirpath = root, depth = 1) {
+    for (let dirent of this.readdirSync(dirpath, { withFileTypes: true })) {
+      const entry = this._walkEntry(root, options, dirpath, dirent, depth);
+
+      if (!entry) {
+        continue;
+      }
+
+      if (options.withLayer) {
+        entry.layer = this._entryLayerSync(entry.path);
+      }
+
+      yield entry;
+
+      if (this._shouldWalkInto(entry, root, options, shouldDescend)) {
+        yield* this._walkSync(root, options, shouldDescend, entry.path, depth + 1);
       }
     }
-  });
+  }
 
-function ensureStartsWithSlash(somepath) {
-  if (somepath[0] === '.' && somepath[1] === '/') {
-    // UGH, ideally no relative paths ever get here... right (currently from imports in a sass-loader?)
-    somepath = somepath.slice(1);
-  } else if (somepath[0] !== '/') {
-    somepath = `/${somepath}`;
+  // Same as above, as an async iterator
+  async *walk(root = '/', options = {}) {
+    yield* this._walk(this._resolvePath(root), options, () => true);
   }
 
-  return somepath;
-}
+  async *_walk(root, options, shouldDescend, dirpath = root, depth = 1) {
+    for (let dirent of await this.promises.readdir(dirpath, { withFileTypes: true })) {
+      const entry = this._walkEntry(root, options, dirpath, dirent, depth);
 
-function ensureArray(possiblyArray) {
-  if (!Array.isArray(possiblyArray)) {
-    return [possiblyArray];
-  } else {
-    return possiblyArray;
-  }
-}
+      if (!entry) {
+        continue;
+      }
 
+      if (options.withLayer) {
+        entry.layer = await this._entryLayer(entry.path);
+      }
 
-class MergedFileSystem {
-  constructor(initialFilesystemsByMountPath = {}, rootFS = nodeFS) {
-    this.mountedPaths = new Map;
-    this.rootFS = rootFS
-    this.addMountPoints(initialFilesystemsByMountPath);
+      yield entry;
 
-    for(let [funcName, funcOptions] of SUPPORTED_FS_FUNCTIONS) {
-      this[funcName] = this._callAsyncFunc.bind(this, funcName, funcOptions);
-      this[`${funcName}Sync`] = this._callSyncFunc.bind(this, `${funcName}Sync`, funcOptions);
-    };
+      if (this._shouldWalkInto(entry, root, options, shouldDescend)) {
+        yield* this._walk(root, options, shouldDescend, entry.path, depth + 1);
+      }
+    }
   }
 
-  clone() {
-    const clone = new MergedFileSystem({}, this.rootFS);
+  // Which layer an entry comes from (undefined for things like dangling links)
+  _entryLayerSync(filepath) {
+    try {
+      return this.whichSync(filepath);
+    } catch (e) {
+      return undefined;
+    }
+  }
 
-    // Clone the internal map _and_ the arrays for each value
-    clone.mountedPaths = new Map(this.mountedPaths);
-    for (let [key, value] of clone.mountedPaths.entries()) {
-      clone.mountedPaths.set(key, value.slice());
+  _entryLayer(filepath) {
+    return this.promises.which(filepath).catch(() => undefined);
+  }
+
+  _walkEntry(root, options, dirpath, dirent, depth) {
+    const filepath = path.posix.join(dirpath, dirent.name),
+          relativePath = path.posix.relative(root, filepath);
+
+    if (isIgnored(options.ignore, relativePath)) {
+      return undefined;
     }
 
-    return clone;
+    return { path: filepath, dirent, depth };
   }
 
-  addMountPoints(newMountPoints) {
-    const oldMountedPaths = this.mountedPaths;
-    const mountPointsToAdd = {};
+  // Symlinks to directories aren't followed (so there are no loops)
+  _shouldWalkInto(entry, root, options, shouldDescend) {
+    return entry.dirent.isDirectory() &&
+           (options.maxDepth === undefined || entry.depth < options.maxDepth) &&
+           (options.crossMounts !== false || !this.mountedPaths.has(entry.path)) &&
+           shouldDescend(path.posix.relative(root, entry.path));
+  }
 
-    // Create new map, instead of modifing existing one (to make sure we order
-    // the map by most specific mount points first)
-    this.mountedPaths = new Map();
+  // Finds every merged path matching a glob (relative patterns are resolved
+  // against the cwd). Only walks the directories that could have matches.
+  // Supports the same options as walk, and returns `{ path, layer }` objects
+  // with `withLayer`.
+  globSync(pattern, options = {}) {
+    const target = this._globTarget(pattern),
+          plan = this._globPlan(target, this._globBaseStatsSync(target), options),
+          toResult = (filepath) => options.withLayer ? { path: filepath, layer: this._entryLayerSync(filepath) } : filepath;
+
+    if (!plan) {
+      return [];
+    } else if (plan.exact) {
+      return [toResult(plan.base)];
+    }
 
+    const results = [];
 
-    // Cleanup input
-    for (let mountPath in newMountPoints) {
-      if (newMountPoints.hasOwnProperty(mountPath)) {
-        const newMountPath = ensureStartsWithSlash(mountPath);
+    for (let entry of this._walkSync(plan.base, plan.walkOptions, plan.shouldDescend)) {
+      if (plan.matches(entry.path)) {
+        results.push(toResult(entry.path));
+      }
+    }
 
-        mountPointsToAdd[newMountPath] = ensureArray(newMountPoints[mountPath]).map(fs => {
-          let result;
+    return results;
+  }
 
-          // Convert string aliases to objects with alias property
-          if (typeof fs === 'string') {
-            result = { alias: fs };
-          } else {
-            result = fs;
-          }
+  glob(pattern, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
 
-          // Ensure any alias (string shortcut or property) start with a slash
-          if (result.alias) {
-            result.alias = ensureStartsWithSlash(result.alias);
-          }
+    this._globAsync(pattern, options || {}).then(
+      (results) => process.nextTick(callback, undefined, results),
+      (error) => process.nextTick(callback, error)
+    );
+  }
 
-          return result;
-        });
-      }
+  async _globAsync(pattern, options) {
+    const target = this._globTarget(pattern),
+          plan = this._globPlan(target, await this._globBaseStats(target), options),
+          toResult = async (filepath) => options.withLayer ? { path: filepath, layer: await this._entryLayer(filepath) } : filepath;
+
+    if (!plan) {
+      return [];
+    } else if (plan.exact) {
+      return [await toResult(plan.base)];
     }
 
-    if (oldMountedPaths) {
-      // Add existing mount points to new ones
-      for (let [mountPath, filesystems] of oldMountedPaths.entries()) {
-        if (mountPointsToAdd[mountPath]) {
-          mountPointsToAdd[mountPath] = mountPointsToAdd[mountPath].concat(filesystems);
-        } else {
-          mountPointsToAdd[mountPath] = filesystems;
-        }
+    const results = [];
+
+    for await (let entry of this._walk(plan.base, plan.walkOptions, plan.shouldDescend)) {
+      if (plan.matches(entry.path)) {
+        results.push(await toResult(entry.path));
       }
     }
 
-    // Itereate over all the mount paths in reverse order (longest first)
-    // and insert into our map (so we can rely on insertion order).
-    Object.keys(mountPointsToAdd).sort().reverse().forEach(mountPath => {
-      this.mountedPaths.set(mountPath, mountPointsToAdd[mountPath]);
-    });
+    return results;
   }
 
-  addMountPoint(newMountPoint, filesystem) {
-    this.addMountPoints({
-      [newMountPoint]: filesystem
-    });
+  // Starts walking from the directory before the first segment with a
+  // wildcard, and only as deep as the pattern can go
+  _globTarget(pattern) {
+    const absolutePattern = pattern[0] === '/' ? pattern : path.posix.join(this.workingDirectory, pattern),
+          segments = absolutePattern.split('/').filter(Boolean),
+          firstWildcard = segments.findIndex(segment => /[*?[{]/.test(segment)),
+          baseSegments = firstWildcard === -1 ? segments : segments.slice(0, firstWildcard);
+
+    return {
+      base: normalizeMergedPath(`/${baseSegments.join('/')}`),
+      relativePattern: segments.slice(baseSegments.length).join('/')
+    };
   }
 
-  _gatherStuffToIterateOver(filepath) {
-    const toIterateOver = [];
+  // Stats for the base directory (or the path itself without wildcards), or
+  // nothing if it isn't there
+  _globBaseStatsSync(target) {
+    try {
+      return target.relativePattern ? this.statSync(target.base) : this.lstatSync(target.base);
+    } catch (e) {
+      return undefined;
+    }
+  }
 
-    // One loop to gather the all mountpaths and filesystems that match
-    // (so we have a total to know when async calls are fully complete)
-    for (let [mountPath, filesystems] of this.mountedPaths) {
-      if (filepath.indexOf(mountPath) === 0) {
-        let subpath;
+  _globBaseStats(target) {
+    const funcName = target.relativePattern ? 'stat' : 'lstat';
+    return this.promises[funcName](target.base).catch(() => undefined);
+  }
 
-        if (mountPath === '/') {
-          subpath = filepath;
-        } else {
-          subpath = filepath.slice(mountPath.length);
-        }
+  _globPlan(target, baseStats, options) {
+    const base = target.base,
+          relativePattern = target.relativePattern;
 
-        for (let filesystem of filesystems) {
-          let potentialSubpath = subpath;
-          let potentialAlias = undefined;
+    if (!baseStats) {
+      return undefined;
+    }
 
-          // If there is an alias property (likely from a string shortcut), use that
-          if (filesystem.alias) {
-            potentialSubpath = path.join(filesystem.alias, subpath);
-            potentialAlias = filesystem.alias;
-            filesystem = filesystem.filesystem || this.rootFS;
-          }
+    // No wildcards means it is just whether the path exists
+    if (!relativePattern) {
+      return { base, exact: true };
+    } else if (!baseStats.isDirectory()) {
+      return undefined;
+    }
 
-          toIterateOver.push([
-            mountPath,
-            filesystem,
-            potentialSubpath,
-            potentialAlias
-          ])
-        }
-      }
+    const patternDepth = relativePattern.indexOf('**') === -1 ? relativePattern.split('/').length : Infinity,
+          maxDepth = Math.min(patternDepth, options.maxDepth === undefined ? Infinity : options.maxDepth);
+
+    return {
+      base,
+      walkOptions: {
+        ignore: options.ignore,
+        crossMounts: options.crossMounts,
+        maxDepth: maxDepth === Infinity ? undefined : maxDepth
+      },
+      shouldDescend: (relativePath) => matchesGlob(relativePattern, relativePath, true),
+      matches: (filepath) => matchesGlob(relativePattern, path.posix.relative(base, filepath))
+    };
+  }
+
+  // Captures the merged tree beneath `root` (exactly as readFile and readdir
+  // resolve it) as a plain object that survives JSON.stringify. It can be
+  // mounted again with `{ snapshot }`. Takes the same options as walk, and
+  // `withLayer` adds the label of the layer each entry came from.
+  snapshotSync(root = '/', options = {}) {
+    root = this._resolvePath(root);
+
+    const entries = {};
+
+    for (let [relativePath, entry] of this._snapshotEntriesSync(root, options)) {
+      entries[relativePath] = entry;
     }
 
-    return toIterateOver;
+    return { version: SNAPSHOT_VERSION, root, entries };
   }
 
-  _iterateOverFilesystemsSync(filepath, iterCallback, doneCallback) {
-    filepath = ensureStartsWithSlash(filepath);
+  snapshot(...args) {
+    const callback = args.pop(),
+          [root = '/', options = {}] = args;
 
-    const toIterateOver = this._gatherStuffToIterateOver(filepath),
-          collectedErrors = [],
-          collectedResults = [];
+    this._snapshotAsync(this._resolvePath(root), options).then(
+      (snapshot) => process.nextTick(callback, undefined, snapshot),
+      (error) => process.nextTick(callback, error)
+    );
+  }
 
-    if (toIterateOver.length === 0) {
-      throw new Error(`No mount points match: ${filepath}`);
+  async _snapshotAsync(root, options) {
+    const entries = {};
+
+    for await (let [relativePath, entry] of this._snapshotEntries(root, options)) {
+      entries[relativePath] = entry;
     }
 
-    for (let [i, [mountPath, filesystem, subpath, aliasIfExist]] of toIterateOver.entries()) {
-      const iterResult = iterCallback(subpath, filesystem, mountPath);
+    return { version: SNAPSHOT_VERSION, root, entries };
+  }
 
-      // sync iter func calls can return non-undefined value to stop iterating
-      if (iterResult !== undefined) {
-        return iterResult;
-      }
+  // Copies the merged tree beneath `root` into a directory on disk (if
+  // `target` is a path), or into another filesystem (a fresh MemoryFileSystem
+  // by default). Returns the target.
+  materializeSync(root = '/', target = new MemoryFileSystem(), options = {}) {
+    const [filesystem, base, targetPath] = materializeTarget(target);
+
+    if (filesystem === nodeFS) {
+      nodeFS.mkdirSync(base, { recursive: true });
+    }
+
+    for (let [relativePath, entry, content] of this._snapshotEntriesSync(this._resolvePath(root), options)) {
+      writeSnapshotEntrySync(filesystem, targetPath.join(base, relativePath), entry, content);
     }
+
+    return target;
   }
 
-  _iterateOverFilesystemsAsync(filepath, iterCallback, doneCallback) {
-    filepath = ensureStartsWithSlash(filepath);
+  materialize(...args) {
+    const callback = args.pop(),
+          [root = '/', target = new MemoryFileSystem(), options = {}] = args;
 
-    const toIterateOver = this._gatherStuffToIterateOver(filepath),
-          collectedErrors = [],
-          collectedResults = [],
-          self = this;
+    this._materializeAsync(this._resolvePath(root), target, options).then(
+      () => process.nextTick(callback, undefined, target),
+      (error) => process.nextTick(callback, error)
+    );
+  }
 
-    let index = 0;
+  async _materializeAsync(root, target, options) {
+    const [filesystem, base, targetPath] = materializeTarget(target);
 
-    function next(iterError, iterResult, stopIterating) {
-      collectedErrors.push(iterError);
-      collectedResults.push(iterResult);
+    if (filesystem === nodeFS) {
+      await nodeFS.promises.mkdir(base, { recursive: true });
+    }
 
+    for await (let [relativePath, entry, content] of this._snapshotEntries(root, options)) {
+      await writeSnapshotEntryAsync(filesystem, targetPath.join(base, relativePath), entry, content);
+    }
+  }
 
-      if (stopIterating || index === toIterateOver.length - 1) {
-        doneCallback(
-          collectedErrors.length > 0 ? collectedErrors : undefined,
-          collectedResults
-        );
+  // Yields `[relativePath, entry, content]` for everything beneath root.
+  // Symlinks are kept as symlinks (with the target as is), and anything
+  // that isn't a file, directory or symlink is skipped.
+  *_snapshotEntriesSync(root, options) {
+    for (let { path: filepath, dirent, layer } of this.walkSync(root, options)) {
+      let entry, content;
+
+      if (dirent.isDirectory()) {
+        entry = { type: 'directory' };
+      } else if (dirent.isSymbolicLink()) {
+        entry = { type: 'symlink', target: this.readlinkSync(filepath).toString() };
+      } else if (dirent.isFile()) {
+        content = this.readFileSync(filepath);
+        entry = fileSnapshotEntry(content);
       } else {
-        index += 1;
-        iterate();
+        continue;
       }
-    }
 
-    function iterate() {
-      const [mountPath, filesystem, subpath, aliasIfExist] = toIterateOver[index];
-      iterCallback(subpath, filesystem, mountPath, next);
+      yield [path.posix.relative(root, filepath), withSnapshotLayer(entry, layer), content];
     }
+  }
 
-    if (toIterateOver.length > 0) {
-      iterate();
-    } else {
-      // console.error(`No mount points match: ${filepath}`)
-      doneCallback(new Error(`No mount points match: ${filepath}`), undefined);
+  async *_snapshotEntries(root, options) {
+    for await (let { path: filepath, dirent, layer } of this.walk(root, options)) {
+      let entry, content;
+
+      if (dirent.isDirectory()) {
+        entry = { type: 'directory' };
+      } else if (dirent.isSymbolicLink()) {
+        entry = { type: 'symlink', target: (await this.promises.readlink(filepath)).toString() };
+      } else if (dirent.isFile()) {
+        content = await this.promises.readFile(filepath);
+        entry = fileSnapshotEntry(content);
+      } else {
+        continue;
+      }
+
+      yield [path.posix.relative(root, filepath), withSnapshotLayer(entry, layer), content];
     }
   }
 
-  _callAsyncFunc(funcName, funcOptions, filepath, ...otherArgs) {
-    const errors = [],
-          results = [],
-          callback = otherArgs.pop()
-
-    let stoppedEarly = false;
+  // Reports every path beneath `root` that more than one layer has, with the
+  // layer that wins and the layers it shadows (and whether their size or
+  // content differ). Takes the same options as walk, plus
+  // `compareContent: false` to only compare sizes, and `warn` to emit a
+  // process warning for each conflict (or call a function with it).
+  conflictsSync(root = '/', options = {}) {
+    const conflicts = [];
 
-    this._iterateOverFilesystemsAsync(filepath, (subpath, filesystem, mountPath, next) => {
-      if (!filesystem[funcName]) {
-        next(new Error('filessytem has no such function: ' + funcName));
-      } else {
+    for (let { path: filepath } of this.walkSync(root, options)) {
+      const found = [];
 
-        filesystem[funcName](subpath, ...otherArgs, (error, result) => {
-          errors.push(error);  // TODO, do something with these?
-          results.push(result);
+      for (let candidate of this.resolveSync(filepath)) {
+        const stats = layerStatsSync(candidate.filesystem, candidate.subpath);
 
-          if (error) {
-            next(error);
-          } else if (result !== undefined) {
-            if (funcOptions.returnFirstValue) {
-              callback(undefined, result);
-
-              stoppedEarly = true;
-              next(error, result, true);  // final true to stop iterating
-            } else {
-              next(error, result);
-            }
-          }
-        })
+        if (stats) {
+          found.push({ candidate, stats });
+        }
       }
-    }, function doneIteration(outsideError) {
-      if (funcOptions.mergeResults) {
-        const [mergedError, mergedResult] = funcOptions.mergeResults(errors, results);
-        callback(mergedError, mergedResult);
 
-      } else if (!stoppedEarly) {
-        // If we fell through the whole way and all were errors, make sure we call
-        // the callback with some error (pass them all? just the first/last one?)
-        let errorToReturn = outsideError || errors;
-        if (Array.isArray(errorToReturn)) {
-          errorToReturn = errorToReturn[0];
-        }
+      const toCompare = needsContentComparison(found, options);
 
-        callback(errorToReturn, undefined);
+      if (toCompare.length > 0) {
+        for (let layer of [found[0], ...toCompare]) {
+          layer.content = layer.candidate.filesystem.readFileSync(layer.candidate.subpath);
+        }
       }
-    });
 
+      this._addConflict(conflicts, describeConflict(filepath, found), options);
+    }
+
+    return conflicts;
   }
 
-  _callSyncFunc(funcName, funcOptions, filepath) {
-    const errors = [],
-          results = [];
+  conflicts(...args) {
+    const callback = args.pop(),
+          [root = '/', options = {}] = args;
 
-    const finalResult = this._iterateOverFilesystemsSync(filepath, (subpath, filesystem, mountPath) => {
-      if (filesystem[funcName]) {
-        let result, error;
+    this._conflictsAsync(root, options).then(
+      (conflicts) => process.nextTick(callback, undefined, conflicts),
+      (error) => process.nextTick(callback, error)
+    );
+  }
 
-        try {
-          result = filesystem[funcName](subpath);
-        } catch (e) {
-          error = e;
+  async _conflictsAsync(root, options) {
+    const conflicts = [],
+          readLayerFile = (candidate) => new Promise((resolve, reject) => {
+            callFilesystemFuncAsync(candidate.filesystem, 'readFile', [candidate.subpath], (error, content) => error ? reject(error) : resolve(content));
+          });
+
+    for await (let { path: filepath } of this.walk(root, options)) {
+      const found = [];
+
+      for (let candidate of this.resolveSync(filepath)) {
+        const stats = await new Promise(resolve => layerStatsAsync(candidate.filesystem, candidate.subpath, resolve));
+
+        if (stats) {
+          found.push({ candidate, stats });
         }
+      }
 
-        results.push(result);
-        errors.push(error);
+      const toCompare = needsContentComparison(found, options);
 
-        if (funcOptions.returnFirstValue && result !== undefined) {
-          return result;
+      if (toCompare.length > 0) {
+        for (let layer of [found[0], ...toCompare]) {
+          layer.content = await readLayerFile(layer.candidate);
         }
       }
+
+      this._addConflict(conflicts, describeConflict(filepath, found), options);
+    }
+
+    return conflicts;
+  }
+
+  _addConflict(conflicts, conflict, options) {
+    if (!conflict) {
+      return;
+    }
+
+    conflicts.push(conflict);
+
+    if (typeof options.warn === 'function') {
+      options.warn(conflictWarning(conflict), conflict);
+    } else if (options.warn) {
+      process.emitWarning(conflictWarning(conflict), 'MergedFSShadowingWarning');
+    }
+  }
+
+  // Registers a content transform for readFile (and read streams) of every
+  // merged path matching the glob, e.g. `addTransform('/src/**/*.js', addBanner)`.
+  // Transforms get the content as a buffer, plus `{ path, mountPath, subpath,
+  // layer, label }`, and return the new content.
+  addTransform(pattern, transform) {
+    this.transforms.push({ pattern, transform });
+    this._invalidateCache('/');
+  }
+
+  removeTransform(transform) {
+    this.transforms = this.transforms.filter(registered => registered.transform !== transform);
+    this._invalidateCache('/');
+  }
+
+  // The layer's own transforms first, then any matching global ones
+  _transformsFor(filepath, layer) {
+    const transforms = layer.transform ? ensureArray(layer.transform).slice() : [];
+
+    for (let registered of this.transforms) {
+      if (matchesGlob(registered.pattern, filepath)) {
+        transforms.push(registered.transform);
+      }
+    }
+
+    return transforms;
+  }
+
+  _hasTransforms(filepath) {
+    return this._gatherStuffToIterateOver(filepath).some(([mountPath, filesystem, subpath, aliasIfExist, layer]) => {
+      return this._transformsFor(filepath, layer).length > 0;
     });
+  }
 
-    if (funcOptions.mergeResults) {
-      const [mergedError, mergedResult] = funcOptions.mergeResults(errors, results);
+  _transformContent(content, transforms, context) {
+    return transforms.reduce((transformed, transform) => {
+      const result = transform(transformed, context);
+      return Buffer.isBuffer(result) ? result : Buffer.from(String(result));
+    }, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
 
-      if (mergedResult === undefined && mergedError) {
-        throw mergedError;
-      } else {
-        return mergedResult;
+  // Transforms a layer's readFile result, or fixes up the size in a layer's
+  // stats (since it has to match the transformed content)
+  _transformLayerResultSync(funcOptions, result, filesystem, filepath, mountPath, subpath, layer) {
+    const transforms = this._transformsFor(filepath, layer),
+          context = { path: filepath, mountPath, subpath, layer, label: labelForLayer(layer) };
+
+    if (transforms.length === 0) {
+      return result;
+    } else if (funcOptions.transformLayerContent) {
+      return this._transformContent(result, transforms, context);
+    } else if (result.isFile && result.isFile() && filesystem.readFileSync) {
+      return withSize(result, this._transformContent(filesystem.readFileSync(subpath), transforms, context).length);
+    }
+
+    return result;
+  }
+
+  _transformLayerResultAsync(funcOptions, result, filesystem, filepath, mountPath, subpath, layer, callback) {
+    const transforms = this._transformsFor(filepath, layer),
+          context = { path: filepath, mountPath, subpath, layer, label: labelForLayer(layer) };
+
+    const transform = (content) => {
+      try {
+        return [undefined, this._transformContent(content, transforms, context)];
+      } catch (e) {
+        return [e];
       }
-    } else if (finalResult === undefined) {
-      // it should have returned earlier, must have only been errors, so throw
-      // throw errors;
-      throw errors[0];
+    };
+
+    if (transforms.length === 0) {
+      callback(undefined, result);
+    } else if (funcOptions.transformLayerContent) {
+      callback(...transform(result));
+    } else if (result.isFile && result.isFile() && hasFilesystemFunc(filesystem, 'readFile')) {
+      callFilesystemFuncAsync(filesystem, 'readFile', [subpath], (error, content) => {
+        const [transformError, transformed] = error ? [error] : transform(content);
+        callback(transformError, transformError ? undefined : withSize(result, transformed.length));
+      });
     } else {
-      return finalResult;
+      callback(undefined, result);
+    }
+  }
+
+
+  // Caching (sync and async share the same cache, keyed on merged paths)
+
+  _cacheKey(funcName, filepath, otherArgs) {
+    return `${funcName}\0${filepath}\0${JSON.stringify(otherArgs)}`;
+  }
+
+  _getCachedResult(cacheKey) {
+    const cached = this.cachedResults.get(cacheKey);
+
+    if (cached && cached.expiresAt <= Date.now()) {
+      this.cachedResults.delete(cacheKey);
+      return undefined;
+    }
+
+    return cached;
+  }
+
+  _setCachedResult(cacheKey, funcName, filepath, error, result) {
+    this.cachedResults.set(cacheKey, {
+      path: filepath,
+      expiresAt: Date.now() + this.cacheDurations.get(funcName),
+      error,
+      result
+    });
+  }
+
+  // Forgets anything cached for the path or beneath it, plus the parent
+  // directory (since its listing and stats change too)
+  _invalidateCache(filepath) {
+    const parent = path.posix.dirname(filepath),
+          isAffected = (entry) => pathIsWithin(entry.path, filepath) || entry.path === parent;
+
+    for (let [cacheKey, cached] of this.cachedResults) {
+      if (isAffected(cached)) {
+        this.cachedResults.delete(cacheKey);
+      }
+    }
+
+    for (let [cacheKey, request] of this.inflightRequests) {
+      if (isAffected(request)) {
+        request.stale = true;
+        this.inflightRequests.delete(cacheKey);
+      }
     }
   }
 
 
   // CUSTOM Webpack-ish stuff (should this be a separate project that wraps merged-fs?)
 
-  purge(pathsToPurge) {
-    if (!pathsToPurge) {
-      pathsToPurge = ['/'];
+  // Clears cached results for the paths (and anything beneath them), and calls
+  // `purge` on every layer that has one (like webpack's CachedInputFileSystem)
+  purge(pathsToPurge = ['/']) {
+    if (typeof pathsToPurge === 'string') {
+      pathsToPurge = [pathsToPurge];
     }
 
-    for (let filepath of pathsToPurge) {
-      this._iterateOverFilesystemsSync(filepath, (subpath, filesystem, mountPath) => {
-        if (typeof filesystem.purge === 'function') {
-          filesystem.purge(filepath);
+    for (let filepath of pathsToPurge.map(filepath => this._resolvePath(filepath))) {
+      this._invalidateCache(filepath);
+
+      for (let [mountPath, filesystems] of this.mountedPaths) {
+        // Mounts beneath the purged path get purged from their root
+        const layerPath = pathIsWithin(mountPath, filepath) ? mountPath : filepath;
+
+        if (!pathIsWithin(layerPath, mountPath)) {
+          continue;
         }
-      });
+
+        for (let layer of filesystems) {
+          const filesystem = layer.filesystem || this.rootFS;
+
+          if (typeof filesystem.purge === 'function') {
+            filesystem.purge(layerSubpath(mountPath, layer, layerPath));
+          }
+        }
+      }
+    }
+  }
+
+}
+
+// Copy of a Stats object with bigint numbers (like `stat(path, { bigint: true })`),
+// for layers that don't support that option themselves
+function toBigIntStats(stats) {
+  if (typeof stats.size === 'bigint') {
+    return stats;
+  }
+
+  const bigintStats = {};
+
+  for (let key of Object.keys(stats)) {
+    bigintStats[key] = typeof stats[key] === 'number' ? BigInt(Math.floor(stats[key])) : stats[key];
+  }
+
+  for (let key of ['atime', 'mtime', 'ctime', 'birthtime']) {
+    if (typeof stats[`${key}Ms`] === 'number') {
+      bigintStats[`${key}Ns`] = BigInt(Math.floor(stats[`${key}Ms`])) * 1000000n;
     }
+  }
+
+  // Checks go to the original stats, since they compare mode bits as numbers
+  for (let method of ['isFile', 'isDirectory', 'isSymbolicLink', 'isBlockDevice', 'isCharacterDevice', 'isFIFO', 'isSocket']) {
+    bigintStats[method] = () => typeof stats[method] === 'function' ? stats[method]() : false;
+  }
+
+  return bigintStats;
+}
+
+const WEBPACK_PROXIED_FUNCTIONS = [
+  'readFile', 'readdir', 'readlink', 'realpath',
+  'writeFile', 'mkdir', 'unlink', 'rmdir', 'rename'
+];
+
+// Adapts a MergedFileSystem to what webpack (and webpack-dev-middleware)
+// expect from its input, output and intermediate filesystems: path helpers,
+// `mkdirp`, bigint stats, streams and `purge`
+function createWebpackFileSystem(mergedFS) {
+  const webpackFS = {
+    mergedFS,
+
+    join: path.posix.join,
+    dirname: path.posix.dirname,
+    relative: path.posix.relative,
+    normalize: path.posix.normalize,
+
+    createReadStream: (...args) => mergedFS.createReadStream(...args),
+    createWriteStream: (...args) => mergedFS.createWriteStream(...args),
+    watch: (...args) => mergedFS.watch(...args),
+    purge: (...args) => mergedFS.purge(...args)
+  };
+
+  for (let funcName of WEBPACK_PROXIED_FUNCTIONS) {
+    webpackFS[funcName] = (...args) => mergedFS[funcName](...args);
+    webpackFS[`${funcName}Sync`] = (...args) => mergedFS[`${funcName}Sync`](...args);
+  }
 
+  for (let funcName of ['stat', 'lstat']) {
+    webpackFS[funcName] = (filepath, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      mergedFS[funcName](filepath, options || {}, (error, stats) => {
+        callback(error, stats && options && options.bigint ? toBigIntStats(stats) : stats);
+      });
+    };
+
+    webpackFS[`${funcName}Sync`] = (filepath, options) => {
+      const stats = mergedFS[`${funcName}Sync`](filepath, options || {});
+      return options && options.bigint ? toBigIntStats(stats) : stats;
+    };
   }
 
+  // Creates any missing parent directories (in the write layers), ignoring
+  // directories that already exist
+  webpackFS.mkdirp = (dirpath, callback) => {
+    mergedFS.mkdir(dirpath, (error) => {
+      if (!error || error.code === 'EEXIST') {
+        return callback();
+      } else if (error.code !== 'ENOENT' || path.posix.dirname(dirpath) === dirpath) {
+        return callback(error);
+      }
+
+      webpackFS.mkdirp(path.posix.dirname(dirpath), (error) => {
+        if (error) {
+          return callback(error);
+        }
+
+        mergedFS.mkdir(dirpath, (error) => callback(error && error.code !== 'EEXIST' ? error : undefined));
+      });
+    });
+  };
+
+  webpackFS.mkdirpSync = (dirpath) => {
+    try {
+      mergedFS.mkdirSync(dirpath);
+    } catch (e) {
+      if (e.code === 'ENOENT' && path.posix.dirname(dirpath) !== dirpath) {
+        webpackFS.mkdirpSync(path.posix.dirname(dirpath));
+        webpackFS.mkdirpSync(dirpath);
+      } else if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+  };
+
+  return webpackFS;
 }
 
 /* Creates a proxy fs object (mimicing the node fs API) that merges together
@@ -338,9 +3925,15 @@ class MergedFileSystem {
 
    See more info and usage in the Readme and tests.
 */
-function createMergedFileSystem(filesystemsByMountPath) {
-  return new MergedFileSystem(filesystemsByMountPath);
+function createMergedFileSystem(filesystemsByMountPath, options) {
+  return new MergedFileSystem(filesystemsByMountPath, nodeFS, options);
 }
 
+createMergedFileSystem.strategies = RESOLUTION_STRATEGIES;
+createMergedFileSystem.isLayerDescriptor = isLayerDescriptor;
+createMergedFileSystem.createWebpackFileSystem = createWebpackFileSystem;
+createMergedFileSystem.MemoryFileSystem = MemoryFileSystem;
+createMergedFileSystem.ArchiveFileSystem = ArchiveFileSystem;
+
 module.exports = createMergedFileSystem;
 
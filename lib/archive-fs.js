@@ -0,0 +1,353 @@
+// Tar (optionally gzipped) and zip archives, mounted as read-only layers
+
+const path = require('path');
+const nodeFS = require('fs');
+const zlib = require('zlib');
+
+const {
+  MAX_SYMLINKS, S_IFMT, S_IFREG, S_IFDIR, S_IFLNK, SyntheticStats, SyntheticDirent,
+  createFSError, normalizeMergedPath, defineCallbackFunctions
+} = require('./common');
+
+const ARCHIVE_FS_FUNCTIONS = ['stat', 'lstat', 'readFile', 'readdir', 'readlink'];
+
+function ensureArchiveDirectory(entries, dirpath) {
+  if (!entries.has(dirpath)) {
+    entries.set(dirpath, { type: S_IFDIR, mode: 0o755, mtime: new Date(0), size: 0, children: new Set });
+
+    if (dirpath !== '/') {
+      ensureArchiveDirectory(entries, path.posix.dirname(dirpath)).children.add(path.posix.basename(dirpath));
+    }
+  }
+
+  return entries.get(dirpath);
+}
+
+// Parent directories don't have to be in the archive, and entries can't `..`
+// their way out of it
+function addArchiveEntry(entries, entryPath, entry) {
+  const filepath = normalizeMergedPath(entryPath);
+
+  if (entry.type === S_IFDIR) {
+    Object.assign(ensureArchiveDirectory(entries, filepath), { mode: entry.mode, mtime: entry.mtime });
+  } else if (filepath !== '/') {
+    ensureArchiveDirectory(entries, path.posix.dirname(filepath)).children.add(path.posix.basename(filepath));
+    entries.set(filepath, entry);
+  }
+}
+
+// Tar numbers are octal strings, or base-256 (GNU) for really big ones
+function parseTarNumber(buffer, start, length) {
+  if (buffer[start] & 0x80) {
+    let value = 0;
+
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + buffer[i];
+    }
+
+    return value;
+  }
+
+  const text = buffer.toString('ascii', start, start + length).replace(/\0.*$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parseTarString(buffer, start, length) {
+  const end = buffer.indexOf(0, start);
+  return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+// Records look like "30 path=some/really/long/path\n", where 30 is the length
+// of the whole record
+function parsePaxHeaders(content) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < content.length) {
+    const space = content.indexOf(0x20, offset),
+          length = space === -1 ? 0 : parseInt(content.toString('ascii', offset, space), 10);
+
+    if (!length) {
+      break;
+    }
+
+    const record = content.toString('utf8', space + 1, offset + length - 1),
+          equals = record.indexOf('=');
+
+    headers[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+
+  return headers;
+}
+
+function indexTar(buffer, entries) {
+  let offset = 0,
+      paxHeaders = {},
+      longName,
+      longLinkName;
+
+  // Every entry is a 512 byte header, followed by its content (padded to 512
+  // bytes). The archive ends with empty blocks.
+  while (offset + 512 <= buffer.length && buffer[offset] !== 0) {
+    const headerOffset = offset,
+          dataOffset = headerOffset + 512,
+          typeflag = String.fromCharCode(buffer[headerOffset + 156] || 0x30),
+          size = paxHeaders.size !== undefined ? Number(paxHeaders.size) : parseTarNumber(buffer, headerOffset + 124, 12);
+
+    offset = dataOffset + Math.ceil(size / 512) * 512;
+
+    // Extended headers only apply to the next entry
+    if (typeflag === 'x') {
+      paxHeaders = parsePaxHeaders(buffer.slice(dataOffset, dataOffset + size));
+      continue;
+    } else if (typeflag === 'L') {
+      longName = parseTarString(buffer, dataOffset, size);
+      continue;
+    } else if (typeflag === 'K') {
+      longLinkName = parseTarString(buffer, dataOffset, size);
+      continue;
+    } else if (typeflag === 'g') {
+      continue;
+    }
+
+    const isUstar = buffer.toString('ascii', headerOffset + 257, headerOffset + 262) === 'ustar',
+          prefix = isUstar ? parseTarString(buffer, headerOffset + 345, 155) : '',
+          name = parseTarString(buffer, headerOffset, 100),
+          entryPath = paxHeaders.path || longName || (prefix ? `${prefix}/${name}` : name),
+          linkName = paxHeaders.linkpath || longLinkName || parseTarString(buffer, headerOffset + 157, 100),
+          mode = parseTarNumber(buffer, headerOffset + 100, 8) & 0o7777,
+          mtime = new Date(parseTarNumber(buffer, headerOffset + 136, 12) * 1000);
+
+    paxHeaders = {};
+    longName = longLinkName = undefined;
+
+    if (typeflag === '5') {
+      addArchiveEntry(entries, entryPath, { type: S_IFDIR, mode, mtime });
+    } else if (typeflag === '2') {
+      addArchiveEntry(entries, entryPath, { type: S_IFLNK, mode, mtime, size: Buffer.byteLength(linkName), target: linkName });
+    } else if (typeflag === '1') {
+      // Hard links point at an earlier entry in the archive
+      const target = entries.get(normalizeMergedPath(linkName));
+
+      if (target) {
+        addArchiveEntry(entries, entryPath, Object.assign({}, target, { mode, mtime }));
+      }
+    } else if (typeflag === '0' || typeflag === '7') {
+      addArchiveEntry(entries, entryPath, { type: S_IFREG, mode, mtime, size, read: () => buffer.slice(dataOffset, dataOffset + size) });
+    }
+  }
+}
+
+function dosDateTime(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  );
+}
+
+// Zips are indexed from their central directory (at the end of the file), and
+// entries are only inflated when read
+function indexZip(buffer, entries) {
+  let endOfDirectory = -1;
+
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOfDirectory = i;
+      break;
+    }
+  }
+
+  if (endOfDirectory === -1) {
+    throw new Error('Invalid zip archive: no end of central directory');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOfDirectory + 10);
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip archive: bad central directory entry');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10),
+          mtime = dosDateTime(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12)),
+          compressedSize = buffer.readUInt32LE(offset + 20),
+          size = buffer.readUInt32LE(offset + 24),
+          nameLength = buffer.readUInt16LE(offset + 28),
+          unixMode = buffer.readUInt32LE(offset + 38) >>> 16,
+          localOffset = buffer.readUInt32LE(offset + 42),
+          name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    const read = () => {
+      const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28),
+            data = buffer.slice(dataOffset, dataOffset + compressedSize);
+
+      if (method === 0) {
+        return data;
+      } else if (method === 8) {
+        return zlib.inflateRawSync(data);
+      }
+
+      throw new Error(`Unsupported zip compression method: ${method}`);
+    };
+
+    const mode = (unixMode & 0o7777) || (name.slice(-1) === '/' ? 0o755 : 0o644);
+
+    if (name.slice(-1) === '/') {
+      addArchiveEntry(entries, name, { type: S_IFDIR, mode, mtime });
+    } else if ((unixMode & S_IFMT) === S_IFLNK) {
+      const target = read().toString();
+      addArchiveEntry(entries, name, { type: S_IFLNK, mode, mtime, size: Buffer.byteLength(target), target });
+    } else {
+      addArchiveEntry(entries, name, { type: S_IFREG, mode, mtime, size, read });
+    }
+  }
+}
+
+// Read-only filesystem for a tar, gzipped tar or zip archive. The archive is
+// only read (and indexed) the first time anything is looked up, and `purge`
+// forgets it again (e.g. after the archive changes).
+class ArchiveFileSystem {
+  constructor(archivePath) {
+    this.archivePath = archivePath;
+    this.entries = undefined;
+  }
+
+  _getEntries() {
+    if (!this.entries) {
+      const entries = new Map;
+      let buffer = nodeFS.readFileSync(this.archivePath);
+
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+      }
+
+      ensureArchiveDirectory(entries, '/');
+
+      if (buffer.length >= 4 && (buffer.readUInt32LE(0) === 0x04034b50 || buffer.readUInt32LE(0) === 0x06054b50)) {
+        indexZip(buffer, entries);
+      } else {
+        indexTar(buffer, entries);
+      }
+
+      this.entries = entries;
+    }
+
+    return this.entries;
+  }
+
+  // Finds an entry and its real path, following symlinks (except for the last
+  // one when `followLast` is false)
+  _walk(syscall, filepath, followLast = true, errorPath = filepath, linkCount = 0) {
+    const entries = this._getEntries(),
+          segments = normalizeMergedPath(filepath).split('/').filter(Boolean);
+
+    let entry = entries.get('/'),
+        realPath = '/';
+
+    for (let [i, segment] of segments.entries()) {
+      if (entry.type !== S_IFDIR) {
+        throw createFSError('ENOTDIR', syscall, errorPath, 'not a directory');
+      }
+
+      const childPath = path.posix.join(realPath, segment),
+            child = entry.children.has(segment) && entries.get(childPath),
+            isLast = i === segments.length - 1;
+
+      if (!child) {
+        throw createFSError('ENOENT', syscall, errorPath, 'no such file or directory');
+      }
+
+      if (child.type === S_IFLNK && (!isLast || followLast)) {
+        if (linkCount >= MAX_SYMLINKS) {
+          throw createFSError('ELOOP', syscall, errorPath, 'too many symbolic links encountered');
+        }
+
+        const target = path.posix.resolve(realPath, child.target, ...segments.slice(i + 1));
+        return this._walk(syscall, target, followLast, errorPath, linkCount + 1);
+      }
+
+      entry = child;
+      realPath = childPath;
+    }
+
+    return [entry, realPath];
+  }
+
+  _lookup(syscall, filepath, followLast) {
+    return this._walk(syscall, filepath, followLast)[0];
+  }
+
+  _statsFor(entry) {
+    const stats = new SyntheticStats(entry.type | entry.mode, entry.mtime);
+    stats.size = entry.size || 0;
+    return stats;
+  }
+
+  existsSync(filepath) {
+    try {
+      this._lookup('access', filepath);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  statSync(filepath) {
+    return this._statsFor(this._lookup('stat', filepath));
+  }
+
+  lstatSync(filepath) {
+    return this._statsFor(this._lookup('lstat', filepath, false));
+  }
+
+  readFileSync(filepath, options) {
+    const entry = this._lookup('open', filepath),
+          encoding = typeof options === 'string' ? options : options && options.encoding;
+
+    if (entry.type === S_IFDIR) {
+      throw createFSError('EISDIR', 'read', filepath, 'illegal operation on a directory');
+    }
+
+    const content = entry.read();
+    return encoding ? content.toString(encoding) : Buffer.from(content);
+  }
+
+  readdirSync(filepath, options) {
+    const [entry, realPath] = this._walk('scandir', filepath);
+
+    if (entry.type !== S_IFDIR) {
+      throw createFSError('ENOTDIR', 'scandir', filepath, 'not a directory');
+    }
+
+    const names = Array.from(entry.children).sort();
+
+    if (options && options.withFileTypes) {
+      const dirpath = normalizeMergedPath(filepath);
+      return names.map(name => new SyntheticDirent(name, this.entries.get(path.posix.join(realPath, name)).type, dirpath));
+    }
+
+    return names;
+  }
+
+  readlinkSync(filepath) {
+    const entry = this._lookup('readlink', filepath, false);
+
+    if (entry.type !== S_IFLNK) {
+      throw createFSError('EINVAL', 'readlink', filepath, 'invalid argument');
+    }
+
+    return entry.target;
+  }
+
+  purge() {
+    this.entries = undefined;
+  }
+}
+
+defineCallbackFunctions(ArchiveFileSystem, ARCHIVE_FS_FUNCTIONS);
+
+module.exports = ArchiveFileSystem;
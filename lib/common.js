@@ -0,0 +1,134 @@
+// Helpers shared by the merged filesystem and the built-in layers
+
+const path = require('path');
+
+// Same limit as linux, before giving up with ELOOP
+const MAX_SYMLINKS = 40;
+
+const S_IFMT  = 0o170000,
+      S_IFREG = 0o100000,
+      S_IFDIR = 0o040000,
+      S_IFLNK = 0o120000;
+
+// Minimal Stats lookalike, used for directories that only exist because
+// something is mounted at or beneath them (and for missing files in watchFile)
+class SyntheticStats {
+  constructor(mode = 0, date = new Date()) {
+    this.dev = 0;
+    this.ino = 0;
+    this.mode = mode;
+    this.nlink = 1;
+    this.uid = 0;
+    this.gid = 0;
+    this.rdev = 0;
+    this.size = 0;
+    this.blksize = 4096;
+    this.blocks = 0;
+    this.atime = this.mtime = this.ctime = this.birthtime = date;
+    this.atimeMs = this.mtimeMs = this.ctimeMs = this.birthtimeMs = date.getTime();
+  }
+
+  isDirectory()       { return (this.mode & S_IFMT) === S_IFDIR; }
+  isFile()            { return (this.mode & S_IFMT) === S_IFREG; }
+  isSymbolicLink()    { return (this.mode & S_IFMT) === S_IFLNK; }
+  isBlockDevice()     { return false; }
+  isCharacterDevice() { return false; }
+  isFIFO()            { return false; }
+  isSocket()          { return false; }
+}
+
+// Dirent lookalike, so entries from every layer are consistent (and have the
+// merged directory as their parent path)
+class SyntheticDirent {
+  constructor(name, type, parentPath) {
+    this.name = name;
+    this.parentPath = parentPath;
+    this.path = parentPath;
+
+    Object.defineProperty(this, 'type', { value: type });
+  }
+
+  isDirectory()       { return this.type === S_IFDIR; }
+  isFile()            { return this.type === S_IFREG; }
+  isSymbolicLink()    { return this.type === S_IFLNK; }
+  isBlockDevice()     { return false; }
+  isCharacterDevice() { return false; }
+  isFIFO()            { return false; }
+  isSocket()          { return false; }
+}
+
+function createFSError(code, syscall, filepath, description) {
+  const error = new Error(`${code}: ${description}, ${syscall} '${filepath}'`);
+  error.code = code;
+  error.syscall = syscall;
+  error.path = filepath;
+  return error;
+}
+
+// Whether a path is the mount path or beneath it (on whole path segments)
+function pathIsWithin(filepath, mountPath) {
+  return mountPath === '/' || filepath === mountPath || filepath.indexOf(`${mountPath}/`) === 0;
+}
+
+// Resolves any incoming path to an absolute, normalized path without a
+// trailing slash (so `..`, `//` and relative paths never reach a layer, and
+// mount points can be compared segment by segment). Relative paths still show
+// up, e.g. from imports in a sass-loader.
+function normalizeMergedPath(filepath, cwd = '/') {
+  return path.posix.resolve(cwd, String(filepath));
+}
+
+// Callback versions of every function, on top of the sync ones
+function defineCallbackFunctions(FileSystemClass, funcNames) {
+  for (let funcName of funcNames) {
+    FileSystemClass.prototype[funcName] = function(...args) {
+      const callback = args.pop();
+      let result;
+
+      try {
+        result = this[`${funcName}Sync`](...args);
+      } catch (e) {
+        return process.nextTick(callback, e);
+      }
+
+      process.nextTick(callback, null, result);
+    };
+  }
+}
+
+const SNAPSHOT_VERSION = 1;
+
+// Writes a single snapshot entry into a filesystem (directories that are
+// already there are fine)
+function writeSnapshotEntrySync(filesystem, filepath, entry, content) {
+  try {
+    if (entry.type === 'directory') {
+      filesystem.mkdirSync(filepath);
+    } else if (entry.type === 'symlink') {
+      filesystem.symlinkSync(entry.target, filepath);
+    } else {
+      filesystem.writeFileSync(filepath, content);
+    }
+  } catch (e) {
+    if (entry.type !== 'directory' || e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+}
+
+
+module.exports = {
+  MAX_SYMLINKS,
+  S_IFMT,
+  S_IFREG,
+  S_IFDIR,
+  S_IFLNK,
+  SyntheticStats,
+  SyntheticDirent,
+  createFSError,
+  pathIsWithin,
+  normalizeMergedPath,
+  defineCallbackFunctions,
+  SNAPSHOT_VERSION,
+  writeSnapshotEntrySync
+};
@@ -0,0 +1,374 @@
+const path = require('path');
+const EventEmitter = require('events');
+
+const {
+  MAX_SYMLINKS, S_IFMT, S_IFREG, S_IFDIR, S_IFLNK, SyntheticStats, SyntheticDirent,
+  createFSError, pathIsWithin, normalizeMergedPath, defineCallbackFunctions,
+  SNAPSHOT_VERSION, writeSnapshotEntrySync
+} = require('./common');
+
+const MEMORY_FS_FUNCTIONS = [
+  'stat', 'lstat', 'readFile', 'readdir', 'readlink', 'realpath',
+  'writeFile', 'mkdir', 'mkdirp', 'rmdir', 'unlink', 'rename', 'symlink'
+];
+
+function createMemoryNode(mode, props) {
+  const now = new Date();
+  return Object.assign({ mode, mtime: now, ctime: now, birthtime: now }, props);
+}
+
+function memoryNodeType(node) {
+  return node.mode & S_IFMT;
+}
+
+// A small in-memory filesystem with files, directories and symlinks, that can
+// be mounted directly. It is also the reference for what layers can implement
+// (both sync and callback versions of every function, plus `watch`).
+// Optionally starts out with files from an object literal, like
+// `{ 'a.txt': 'hi', dir: { 'b.js': '...' } }`.
+class MemoryFileSystem {
+  constructor(files) {
+    this.root = createMemoryNode(S_IFDIR | 0o755, { children: new Map });
+    this.watchers = new Set;
+
+    if (files) {
+      this._addFiles('/', files);
+    }
+  }
+
+  // Loads a snapshot from MergedFileSystem's snapshot/snapshotSync
+  static fromSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.entries) {
+      throw new Error('not a merged-fs snapshot (or from an unsupported version)');
+    }
+
+    const memoryFS = new MemoryFileSystem();
+
+    for (let relativePath of Object.keys(snapshot.entries)) {
+      const entry = snapshot.entries[relativePath],
+            content = entry.type === 'file' ? Buffer.from(entry.content, entry.encoding) : undefined;
+
+      writeSnapshotEntrySync(memoryFS, path.posix.join('/', relativePath), entry, content);
+    }
+
+    return memoryFS;
+  }
+
+  _addFiles(dirpath, files) {
+    for (let name of Object.keys(files)) {
+      const filepath = path.posix.join(dirpath, name),
+            content = files[name];
+
+      if (typeof content === 'string' || Buffer.isBuffer(content)) {
+        this.writeFileSync(filepath, content);
+      } else {
+        this.mkdirSync(filepath, { recursive: true });
+        this._addFiles(filepath, content);
+      }
+    }
+  }
+
+  // Finds a node and its real path, following symlinks (except for the last
+  // one when `followLast` is false)
+  _walk(syscall, filepath, followLast = true, errorPath = filepath, linkCount = 0) {
+    const segments = normalizeMergedPath(filepath).split('/').filter(Boolean);
+
+    let node = this.root,
+        realPath = '/';
+
+    for (let [i, segment] of segments.entries()) {
+      if (memoryNodeType(node) !== S_IFDIR) {
+        throw createFSError('ENOTDIR', syscall, errorPath, 'not a directory');
+      }
+
+      const child = node.children.get(segment),
+            isLast = i === segments.length - 1;
+
+      if (!child) {
+        throw createFSError('ENOENT', syscall, errorPath, 'no such file or directory');
+      }
+
+      if (memoryNodeType(child) === S_IFLNK && (!isLast || followLast)) {
+        if (linkCount >= MAX_SYMLINKS) {
+          throw createFSError('ELOOP', syscall, errorPath, 'too many symbolic links encountered');
+        }
+
+        const target = path.posix.resolve(realPath, child.target, ...segments.slice(i + 1));
+        return this._walk(syscall, target, followLast, errorPath, linkCount + 1);
+      }
+
+      node = child;
+      realPath = path.posix.join(realPath, segment);
+    }
+
+    return [node, realPath];
+  }
+
+  _lookup(syscall, filepath, followLast) {
+    return this._walk(syscall, filepath, followLast)[0];
+  }
+
+  // The directory node that would contain a path, and the name in it
+  _lookupParent(syscall, filepath) {
+    filepath = normalizeMergedPath(filepath);
+
+    const parent = this._lookup(syscall, path.posix.dirname(filepath));
+
+    if (memoryNodeType(parent) !== S_IFDIR) {
+      throw createFSError('ENOTDIR', syscall, filepath, 'not a directory');
+    }
+
+    return [parent, path.posix.basename(filepath)];
+  }
+
+  _addChild(parent, name, node) {
+    parent.children.set(name, node);
+    parent.mtime = parent.ctime = new Date();
+  }
+
+  _removeChild(parent, name) {
+    parent.children.delete(name);
+    parent.mtime = parent.ctime = new Date();
+  }
+
+  _statsFor(node) {
+    const stats = new SyntheticStats(node.mode, node.mtime);
+
+    stats.ctime = node.ctime;
+    stats.ctimeMs = node.ctime.getTime();
+    stats.birthtime = node.birthtime;
+    stats.birthtimeMs = node.birthtime.getTime();
+
+    if (node.content) {
+      stats.size = node.content.length;
+    } else if (node.target) {
+      stats.size = Buffer.byteLength(node.target);
+    }
+
+    return stats;
+  }
+
+  _notify(eventType, filepath) {
+    filepath = normalizeMergedPath(filepath);
+
+    for (let watcher of this.watchers) {
+      if (watcher.path === filepath) {
+        watcher.listener(eventType, path.posix.basename(filepath));
+      } else if (path.posix.dirname(filepath) === watcher.path || (watcher.recursive && pathIsWithin(filepath, watcher.path))) {
+        watcher.listener(eventType, path.posix.relative(watcher.path, filepath));
+      }
+    }
+  }
+
+  existsSync(filepath) {
+    try {
+      this._lookup('access', filepath);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  statSync(filepath) {
+    return this._statsFor(this._lookup('stat', filepath));
+  }
+
+  lstatSync(filepath) {
+    return this._statsFor(this._lookup('lstat', filepath, false));
+  }
+
+  readFileSync(filepath, options) {
+    const node = this._lookup('open', filepath),
+          encoding = typeof options === 'string' ? options : options && options.encoding;
+
+    if (memoryNodeType(node) === S_IFDIR) {
+      throw createFSError('EISDIR', 'read', filepath, 'illegal operation on a directory');
+    }
+
+    return encoding ? node.content.toString(encoding) : Buffer.from(node.content);
+  }
+
+  readdirSync(filepath, options) {
+    const node = this._lookup('scandir', filepath);
+
+    if (memoryNodeType(node) !== S_IFDIR) {
+      throw createFSError('ENOTDIR', 'scandir', filepath, 'not a directory');
+    }
+
+    const names = Array.from(node.children.keys()).sort();
+
+    if (options && options.withFileTypes) {
+      return names.map(name => new SyntheticDirent(name, memoryNodeType(node.children.get(name)), normalizeMergedPath(filepath)));
+    }
+
+    return names;
+  }
+
+  readlinkSync(filepath) {
+    const node = this._lookup('readlink', filepath, false);
+
+    if (memoryNodeType(node) !== S_IFLNK) {
+      throw createFSError('EINVAL', 'readlink', filepath, 'invalid argument');
+    }
+
+    return node.target;
+  }
+
+  realpathSync(filepath) {
+    return this._walk('realpath', filepath)[1];
+  }
+
+  writeFileSync(filepath, data, options) {
+    const encoding = typeof options === 'string' ? options : (options && options.encoding) || 'utf8',
+          content = Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data), encoding);
+
+    let existing;
+
+    try {
+      existing = this._lookup('open', filepath);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+
+    if (existing && memoryNodeType(existing) === S_IFDIR) {
+      throw createFSError('EISDIR', 'open', filepath, 'illegal operation on a directory');
+    } else if (existing) {
+      existing.content = content;
+      existing.mtime = existing.ctime = new Date();
+      this._notify('change', filepath);
+    } else {
+      const [parent, name] = this._lookupParent('open', filepath);
+
+      this._addChild(parent, name, createMemoryNode(S_IFREG | 0o644, { content }));
+      this._notify('rename', filepath);
+    }
+  }
+
+  mkdirSync(filepath, options) {
+    filepath = normalizeMergedPath(filepath);
+
+    const recursive = Boolean(options && options.recursive);
+
+    if (this.existsSync(filepath)) {
+      if (recursive && memoryNodeType(this._lookup('mkdir', filepath)) === S_IFDIR) {
+        return;
+      }
+
+      throw createFSError('EEXIST', 'mkdir', filepath, 'file already exists');
+    }
+
+    if (recursive && !this.existsSync(path.posix.dirname(filepath))) {
+      this.mkdirSync(path.posix.dirname(filepath), options);
+    }
+
+    const [parent, name] = this._lookupParent('mkdir', filepath);
+
+    this._addChild(parent, name, createMemoryNode(S_IFDIR | 0o755, { children: new Map }));
+    this._notify('rename', filepath);
+  }
+
+  // Same as `mkdirSync(path, { recursive: true })`, like memory-fs has
+  mkdirpSync(filepath) {
+    this.mkdirSync(filepath, { recursive: true });
+  }
+
+  rmdirSync(filepath) {
+    const node = this._lookup('rmdir', filepath, false);
+
+    if (memoryNodeType(node) !== S_IFDIR) {
+      throw createFSError('ENOTDIR', 'rmdir', filepath, 'not a directory');
+    } else if (node === this.root) {
+      throw createFSError('EBUSY', 'rmdir', filepath, 'resource busy or locked');
+    } else if (node.children.size > 0) {
+      throw createFSError('ENOTEMPTY', 'rmdir', filepath, 'directory not empty');
+    }
+
+    this._removeChild(...this._lookupParent('rmdir', filepath));
+    this._notify('rename', filepath);
+  }
+
+  unlinkSync(filepath) {
+    const node = this._lookup('unlink', filepath, false);
+
+    if (memoryNodeType(node) === S_IFDIR) {
+      throw createFSError('EISDIR', 'unlink', filepath, 'illegal operation on a directory');
+    }
+
+    this._removeChild(...this._lookupParent('unlink', filepath));
+    this._notify('rename', filepath);
+  }
+
+  renameSync(oldPath, newPath) {
+    oldPath = normalizeMergedPath(oldPath);
+    newPath = normalizeMergedPath(newPath);
+
+    const node = this._lookup('rename', oldPath, false),
+          [oldParent, oldName] = this._lookupParent('rename', oldPath),
+          [newParent, newName] = this._lookupParent('rename', newPath),
+          existing = newParent.children.get(newName),
+          isDirectory = memoryNodeType(node) === S_IFDIR;
+
+    if (isDirectory && newPath !== oldPath && pathIsWithin(newPath, oldPath)) {
+      throw createFSError('EINVAL', 'rename', oldPath, 'invalid argument');
+    } else if (existing && existing !== node) {
+      if (memoryNodeType(existing) === S_IFDIR && !isDirectory) {
+        throw createFSError('EISDIR', 'rename', newPath, 'illegal operation on a directory');
+      } else if (memoryNodeType(existing) !== S_IFDIR && isDirectory) {
+        throw createFSError('ENOTDIR', 'rename', newPath, 'not a directory');
+      } else if (isDirectory && existing.children.size > 0) {
+        throw createFSError('ENOTEMPTY', 'rename', newPath, 'directory not empty');
+      }
+    }
+
+    this._removeChild(oldParent, oldName);
+    this._addChild(newParent, newName, node);
+    this._notify('rename', oldPath);
+    this._notify('rename', newPath);
+  }
+
+  symlinkSync(target, filepath) {
+    if (this.existsSync(filepath) || this._hasLink(filepath)) {
+      throw createFSError('EEXIST', 'symlink', filepath, 'file already exists');
+    }
+
+    const [parent, name] = this._lookupParent('symlink', filepath);
+
+    this._addChild(parent, name, createMemoryNode(S_IFLNK | 0o777, { target: String(target) }));
+    this._notify('rename', filepath);
+  }
+
+  // Whether there is a (possibly dangling) symlink at the path
+  _hasLink(filepath) {
+    try {
+      return memoryNodeType(this._lookup('lstat', filepath, false)) === S_IFLNK;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  watch(filepath, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    }
+
+    const watcher = new EventEmitter(),
+          registration = { path: normalizeMergedPath(filepath), recursive: Boolean(options && options.recursive), listener };
+
+    this._lookup('watch', filepath);
+    this.watchers.add(registration);
+
+    watcher.close = () => {
+      this.watchers.delete(registration);
+      watcher.emit('close');
+    };
+
+    return watcher;
+  }
+}
+
+defineCallbackFunctions(MemoryFileSystem, MEMORY_FS_FUNCTIONS);
+
+module.exports = MemoryFileSystem;
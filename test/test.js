@@ -1,8 +1,12 @@
 var path = require('path');
+var zlib = require('zlib');
 var nodefs = require('fs');
 var should = require('should');
+var MemoryFileSystem = require('memory-fs');
+var webpack = require('webpack');
 
 var createMergedFileSystem = require('../index');
+var runCommandLine = require('../bin/merged-fs');
 
 var tempDir = '/tmp/temp-MergedFS';
 var tempFilename = 'test-file.txt';
@@ -396,4 +400,2768 @@ describe('MergedFS', () => {
     });
   });
 
+  describe('writable layers', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.mkdirpSync('/dir');
+      this.memoryFS.writeFileSync('/dir/in-memory.txt', 'from memory');
+
+      this.fs = createMergedFileSystem({
+        "/writable": [{ filesystem: this.memoryFS, writable: true }, tempDir],
+        "/readonly": [new MemoryFileSystem(), tempDir]
+      });
+    });
+
+    it('should write files synchronously to the write layer', () => {
+      this.fs.writeFileSync('/writable/new.txt', 'new content');
+      this.memoryFS.readFileSync('/new.txt').toString().should.equal('new content');
+      this.fs.readFileSync('/writable/new.txt').toString().should.equal('new content');
+    });
+
+    it('should write files asynchronously to the write layer', (done) => {
+      this.fs.writeFile('/writable/new.txt', 'new content', (error) => {
+        should(error).not.be.ok();
+        this.memoryFS.readFileSync('/new.txt').toString().should.equal('new content');
+        done();
+      });
+    });
+
+    it('should still fall through to lower layers for reads', () => {
+      this.fs.readFileSync(path.join('/writable', tempFilename)).toString().should.equal('foobar');
+
+      this.fs.readdirSync('/writable/dir').should.match(['in-memory.txt']);
+    });
+
+    it('should shadow lower layers once written to', () => {
+      this.fs.writeFileSync(path.join('/writable', tempFilename), 'shadowed');
+      this.fs.readFileSync(path.join('/writable', tempFilename)).toString().should.equal('shadowed');
+      nodefs.readFileSync(tempFilepath).toString().should.equal('foobar');
+    });
+
+    it('should mkdir, unlink and rmdir synchronously', () => {
+      this.fs.mkdirSync('/writable/newdir');
+      this.fs.statSync('/writable/newdir').isDirectory().should.be.true();
+
+      this.fs.unlinkSync('/writable/dir/in-memory.txt');
+      this.memoryFS.existsSync('/dir/in-memory.txt').should.be.false();
+
+      this.fs.rmdirSync('/writable/newdir');
+      this.memoryFS.existsSync('/newdir').should.be.false();
+    });
+
+    it('should mkdir, unlink and rmdir asynchronously', (done) => {
+      this.fs.mkdir('/writable/newdir', (error) => {
+        should(error).not.be.ok();
+
+        this.fs.unlink('/writable/dir/in-memory.txt', (error) => {
+          should(error).not.be.ok();
+
+          this.fs.rmdir('/writable/newdir', (error) => {
+            should(error).not.be.ok();
+            this.memoryFS.readdirSync('/').should.match(['dir']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should refuse writes to mounts without a write layer', () => {
+      (() => this.fs.writeFileSync('/readonly/new.txt', 'nope')).should.throw({ code: 'EROFS' });
+      nodefs.existsSync(path.join(tempDir, 'new.txt')).should.be.false();
+    });
+
+    it('should pass EROFS to async callbacks', (done) => {
+      var returned = false;
+
+      this.fs.mkdir('/readonly/newdir', (error) => {
+        returned.should.be.true();
+        error.code.should.equal('EROFS');
+        error.syscall.should.equal('mkdir');
+        done();
+      });
+
+      returned = true;
+    });
+
+    it('should refuse renames across different write layers', () => {
+      this.fs.addMountPoint('/other', { filesystem: new MemoryFileSystem(), writable: true });
+
+      (() => this.fs.renameSync('/writable/dir/in-memory.txt', '/other/moved.txt')).should.throw({ code: 'EXDEV' });
+    });
+
+    it('should pass EXDEV to async callbacks', (done) => {
+      var returned = false;
+
+      this.fs.addMountPoint('/other', { filesystem: new MemoryFileSystem(), writable: true });
+      this.fs.rename('/writable/dir/in-memory.txt', '/other/moved.txt', (error) => {
+        returned.should.be.true();
+        error.code.should.equal('EXDEV');
+        done();
+      });
+
+      returned = true;
+    });
+  });
+
+  describe('writable alias layers', () => {
+    beforeEach(() => {
+      this.fs = createMergedFileSystem({
+        "/out": { alias: tempDir, writable: true }
+      });
+    });
+
+    afterEach(() => {
+      try { nodefs.unlinkSync(path.join(tempDir, 'renamed.txt')); } catch (whoCares) {}
+    });
+
+    it('should rename within the write layer', () => {
+      this.fs.writeFileSync('/out/written.txt', 'written');
+      this.fs.renameSync('/out/written.txt', '/out/renamed.txt');
+
+      nodefs.readFileSync(path.join(tempDir, 'renamed.txt')).toString().should.equal('written');
+      nodefs.existsSync(path.join(tempDir, 'written.txt')).should.be.false();
+    });
+  });
+
+  describe('whiteouts', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/upper.txt', 'upper');
+
+      this.fs = createMergedFileSystem({
+        "/merged": [{ filesystem: this.memoryFS, writable: true }, tempDir]
+      });
+    });
+
+    it('should hide files that only exist in a lower layer when unlinked', () => {
+      this.fs.unlinkSync(path.join('/merged', tempFilename));
+
+      (() => this.fs.statSync(path.join('/merged', tempFilename))).should.throw({ code: 'ENOENT' });
+      (() => this.fs.readFileSync(path.join('/merged', tempFilename))).should.throw({ code: 'ENOENT' });
+      this.fs.readdirSync('/merged/').should.match(['upper.txt']);
+
+      // The lower layer is untouched
+      nodefs.existsSync(tempFilepath).should.be.true();
+    });
+
+    it('should hide files asynchronously when unlinked', (done) => {
+      this.fs.unlink(path.join('/merged', tempFilename), (error) => {
+        var returned = false;
+
+        should(error).not.be.ok();
+
+        this.fs.readFile(path.join('/merged', tempFilename), (error, content) => {
+          returned.should.be.true();
+          error.code.should.equal('ENOENT');
+          should(content).be.undefined();
+
+          this.fs.readdir('/merged/', (error, files) => {
+            files.should.match(['upper.txt']);
+            done();
+          });
+        });
+
+        returned = true;
+      });
+    });
+
+    it('should hide files in every layer when unlinked', () => {
+      this.fs.writeFileSync(path.join('/merged', tempFilename), 'shadowing');
+      this.fs.unlinkSync(path.join('/merged', tempFilename));
+
+      this.memoryFS.existsSync('/' + tempFilename).should.be.false();
+      (() => this.fs.statSync(path.join('/merged', tempFilename))).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should fail to unlink files that are not in any layer', () => {
+      (() => this.fs.unlinkSync('/merged/nope.txt')).should.throw({ code: 'ENOENT', syscall: 'unlink', path: '/merged/nope.txt' });
+      (() => this.fs.rmdirSync('/merged/nope')).should.throw({ code: 'ENOENT', syscall: 'rmdir' });
+      this.fs.isHidden('/merged/nope.txt').should.be.false();
+    });
+
+    it('should refuse to unlink directories that only exist in a lower layer', (done) => {
+      var lowerFS = new createMergedFileSystem.MemoryFileSystem({ 'a.txt': 'a', dir: { 'b.txt': 'b' } });
+      var fs = createMergedFileSystem({
+        "/": [{ filesystem: new createMergedFileSystem.MemoryFileSystem(), writable: true }, lowerFS]
+      });
+
+      (() => fs.unlinkSync('/dir')).should.throw({ code: 'EISDIR', syscall: 'unlink' });
+      fs.readdirSync('/').should.eql(['a.txt', 'dir']);
+
+      fs.unlink('/dir', (error) => {
+        error.code.should.equal('EISDIR');
+        fs.readdirSync('/').should.eql(['a.txt', 'dir']);
+
+        fs.unlink('/nope.txt', (error) => {
+          error.syscall.should.equal('unlink');
+          done();
+        });
+      });
+    });
+
+    it('should show files again once they are re-written', () => {
+      this.fs.unlinkSync(path.join('/merged', tempFilename));
+      this.fs.writeFileSync(path.join('/merged', tempFilename), 'back again');
+
+      this.fs.readFileSync(path.join('/merged', tempFilename)).toString().should.equal('back again');
+    });
+
+    it('should hide paths explicitly, including everything under them', () => {
+      this.fs.addMountPoint('/', '/');
+      this.fs.hide(tempDir);
+
+      (() => this.fs.statSync(tempFilepath)).should.throw({ code: 'ENOENT' });
+      this.fs.readdirSync('/tmp').should.not.containEql(path.basename(tempDir));
+
+      this.fs.unhide(tempDir);
+      this.fs.statSync(tempFilepath).isFile().should.be.true();
+    });
+
+    it('should copy files up to the write layer when renaming them', (done) => {
+      var lowerFS = new createMergedFileSystem.MemoryFileSystem({ 'a.txt': 'a', 'b.txt': 'b', dir: { 'c.txt': 'c' }, lib: {}, pkg: { 'd.txt': 'd' } });
+      var upperFS = new createMergedFileSystem.MemoryFileSystem();
+      var fs = createMergedFileSystem({ "/": [{ filesystem: upperFS, writable: true }, lowerFS] });
+
+      fs.renameSync('/a.txt', '/renamed.txt');
+      fs.readFileSync('/renamed.txt', 'utf8').should.equal('a');
+      fs.existsSync('/a.txt').should.be.false();
+      lowerFS.readFileSync('/a.txt', 'utf8').should.equal('a');
+
+      // Into a directory that only exists in a lower layer
+      fs.renameSync('/dir/c.txt', '/lib/c.txt');
+      upperFS.readFileSync('/lib/c.txt', 'utf8').should.equal('c');
+      fs.readdirSync('/dir').should.eql([]);
+
+      (() => fs.renameSync('/pkg', '/moved')).should.throw({ code: 'EXDEV', syscall: 'rename' });
+      (() => fs.renameSync('/nope.txt', '/moved.txt')).should.throw({ code: 'ENOENT' });
+
+      fs.rename('/b.txt', '/lib/b.txt', (error) => {
+        should(error).not.be.ok();
+        upperFS.readFileSync('/lib/b.txt', 'utf8').should.equal('b');
+        fs.existsSync('/b.txt').should.be.false();
+
+        fs.rename('/pkg', '/moved', (error) => {
+          error.code.should.equal('EXDEV');
+          done();
+        });
+      });
+    });
+
+    it('should refuse to rmdir directories that are not empty in the merged view', () => {
+      (() => this.fs.rmdirSync('/merged')).should.throw({ code: 'ENOTEMPTY' });
+    });
+
+    it('should keep whiteouts when cloned', () => {
+      this.fs.hide('/merged/upper.txt');
+      this.fs.clone().isHidden('/merged/upper.txt').should.be.true();
+    });
+  });
+
+  describe('promises', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+
+      this.fs = createMergedFileSystem({
+        "/sync-only": {
+          statSync: function(filepath) {
+            return nodefs.statSync(path.join(tempDir, filepath));
+          },
+
+          readdirSync: function(filepath) {
+            return ["Sync only"];
+          }
+        },
+        "/writable": { filesystem: this.memoryFS, writable: true },
+        "/": "/"
+      });
+    });
+
+    it('should read files', () => {
+      return this.fs.promises.readFile(tempFilepath).then((content) => {
+        content.toString().should.equal('foobar');
+      });
+    });
+
+    it('should merge dirs', () => {
+      this.fs.addMountPoint('/', {
+        readdir: function(filepath, callback) {
+          callback(undefined, ["Callback only"]);
+        }
+      });
+
+      return this.fs.promises.readdir(tempDir).then((files) => {
+        files.should.match(["Callback only", tempFilename]);
+      });
+    });
+
+    it('should reject when every layer fails', () => {
+      return this.fs.promises.stat('/not/a/real/path').then(() => {
+        throw new Error('Should not have resolved');
+      }, (error) => {
+        error.code.should.equal('ENOENT');
+      });
+    });
+
+    it('should still call back asynchronously when falling back to sync functions', (done) => {
+      var calledBack = false;
+
+      this.fs.stat(path.join('/sync-only', tempFilename), (error, stats) => {
+        calledBack = true;
+        stats.isFile().should.be.true();
+        done();
+      });
+
+      calledBack.should.be.false();
+    });
+
+    it('should fall back to sync functions of a layer', () => {
+      return this.fs.promises.stat(path.join('/sync-only', tempFilename)).then((stats) => {
+        stats.isFile().should.be.true();
+        return this.fs.promises.readdir('/sync-only/anything');
+      }).then((files) => {
+        files.should.match(["Sync only"]);
+      });
+    });
+
+    it('should write to the write layer', () => {
+      return this.fs.promises.writeFile('/writable/file.txt', 'promised').then(() => {
+        this.memoryFS.readFileSync('/file.txt').toString().should.equal('promised');
+      });
+    });
+  });
+
+  describe('streams', () => {
+    var readAll = (stream, callback) => {
+      var chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('error', (error) => callback(error));
+      stream.on('end', () => callback(undefined, chunks.join('')));
+    };
+
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/memory.txt', 'from memory');
+
+      var noStreamsFS = {
+        statSync: function(filepath) {
+          return nodefs.statSync(path.join(tempDir, filepath));
+        },
+
+        readFileSync: function(filepath) {
+          return nodefs.readFileSync(path.join(tempDir, filepath));
+        },
+
+        writeFileSync: function(filepath, content) {
+          nodefs.writeFileSync(path.join(tempDir, filepath), content);
+        }
+      };
+
+      this.fs = createMergedFileSystem({
+        "/merged": [{ filesystem: this.memoryFS, writable: true }, tempDir],
+        "/buffered": { filesystem: noStreamsFS, writable: true }
+      });
+    });
+
+    afterEach(() => {
+      try { nodefs.unlinkSync(path.join(tempDir, 'streamed.txt')); } catch (whoCares) {}
+    });
+
+    it('should read from the first layer that has the file', (done) => {
+      readAll(this.fs.createReadStream('/merged/memory.txt'), (error, content) => {
+        should(error).not.be.ok();
+        content.should.equal('from memory');
+        done();
+      });
+    });
+
+    it('should read from lower layers', (done) => {
+      readAll(this.fs.createReadStream(path.join('/merged', tempFilename), 'utf8'), (error, content) => {
+        should(error).not.be.ok();
+        content.should.equal('foobar');
+        done();
+      });
+    });
+
+    it('should buffer through readFile when a layer has no stream support', (done) => {
+      readAll(this.fs.createReadStream(path.join('/buffered', tempFilename), { start: 1, end: 3 }), (error, content) => {
+        should(error).not.be.ok();
+        content.should.equal('oob');
+        done();
+      });
+    });
+
+    it('should emit ENOENT when no layer has the file', (done) => {
+      readAll(this.fs.createReadStream('/merged/nope.txt'), (error) => {
+        error.code.should.equal('ENOENT');
+        done();
+      });
+    });
+
+    it('should emit ENOENT when no mount point matches', (done) => {
+      readAll(this.fs.createReadStream('/nomount/nope.txt'), (error) => {
+        error.code.should.equal('ENOENT');
+        done();
+      });
+    });
+
+    it('should write to the write layer', (done) => {
+      var stream = this.fs.createWriteStream('/merged/written.txt');
+
+      stream.on('finish', () => {
+        this.memoryFS.readFileSync('/written.txt').toString().should.equal('streamed content');
+        done();
+      });
+
+      stream.write('streamed ');
+      stream.end('content');
+    });
+
+    it('should buffer through writeFile when a layer has no stream support', (done) => {
+      var stream = this.fs.createWriteStream('/buffered/streamed.txt');
+
+      stream.on('finish', () => {
+        nodefs.readFileSync(path.join(tempDir, 'streamed.txt')).toString().should.equal('streamed content');
+        done();
+      });
+
+      stream.end('streamed content');
+    });
+
+    it('should honor flags and encoding when buffering', (done) => {
+      nodefs.writeFileSync(path.join(tempDir, 'streamed.txt'), 'existing ');
+
+      var stream = this.fs.createWriteStream('/buffered/streamed.txt', { flags: 'a', encoding: 'base64' });
+
+      stream.on('finish', () => {
+        nodefs.readFileSync(path.join(tempDir, 'streamed.txt')).toString().should.equal('existing content');
+
+        this.fs.createWriteStream('/buffered/streamed.txt', { flags: 'wx' })
+          .on('error', (error) => {
+            error.code.should.equal('EEXIST');
+            nodefs.readFileSync(path.join(tempDir, 'streamed.txt')).toString().should.equal('existing content');
+            done();
+          })
+          .end('overwritten');
+      });
+
+      stream.end(Buffer.from('content').toString('base64'));
+    });
+  });
+
+  describe('mount point directories', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/root-file.txt', 'root');
+
+      this.fs = createMergedFileSystem({
+        "/app": tempDir,
+        "/vendor/libs": tempDir,
+        "/": this.memoryFS
+      });
+    });
+
+    it('should include child mount points in readdir synchronously', () => {
+      this.fs.readdirSync('/').should.match(['app', 'root-file.txt', 'vendor']);
+      this.fs.readdirSync('/vendor').should.match(['libs']);
+    });
+
+    it('should include child mount points in readdir asynchronously', (done) => {
+      this.fs.readdir('/vendor', (error, files) => {
+        should(error).not.be.ok();
+        files.should.match(['libs']);
+        done();
+      });
+    });
+
+    it('should still read the contents of mount points', () => {
+      this.fs.readdirSync('/vendor/libs').should.match([tempFilename]);
+    });
+
+    it('should stat mount point ancestors as directories synchronously', () => {
+      this.fs.statSync('/vendor').isDirectory().should.be.true();
+      this.fs.statSync('/vendor/libs').isDirectory().should.be.true();
+      (() => this.fs.statSync('/vendor/nope')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should stat mount point ancestors as directories asynchronously', (done) => {
+      this.fs.stat('/vendor', (error, stats) => {
+        should(error).not.be.ok();
+        stats.isDirectory().should.be.true();
+        stats.isFile().should.be.false();
+        done();
+      });
+    });
+
+    it('should work without a root mount point', () => {
+      var fs = createMergedFileSystem({
+        "/vendor/libs": tempDir
+      });
+
+      fs.readdirSync('/').should.match(['vendor']);
+      fs.statSync('/').isDirectory().should.be.true();
+    });
+
+    it('should not include hidden mount points', () => {
+      this.fs.hide('/vendor');
+      this.fs.readdirSync('/').should.match(['app', 'root-file.txt']);
+    });
+  });
+
+  describe('path normalization', () => {
+    beforeEach(() => {
+      this.fs = createMergedFileSystem({
+        "/src": tempDir,
+        "/srcfoo": "/NOT REAL",
+        "/": new MemoryFileSystem()
+      });
+    });
+
+    it('should only match mount points on whole path segments', () => {
+      this.fs.readFileSync(path.join('/src', tempFilename)).toString().should.equal('foobar');
+      (() => this.fs.readFileSync(path.join('/srcfoo', tempFilename))).should.throw({ code: 'ENOENT' });
+      (() => this.fs.readFileSync('/srcf' + tempFilename)).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should normalize `..`, `//` and trailing slashes', () => {
+      this.fs.readFileSync('/other/..//src/./' + tempFilename).toString().should.equal('foobar');
+      this.fs.readdirSync('/src/').should.match([tempFilename]);
+      this.fs.readdirSync('/src').should.match([tempFilename]);
+    });
+
+    it('should not let `..` escape above an alias root', () => {
+      (() => this.fs.readFileSync('/src/../..' + tempFilepath)).should.throw({ code: 'ENOENT' });
+      (() => this.fs.statSync('/src/../../../etc/passwd')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should resolve relative paths against the virtual cwd', () => {
+      this.fs.cwd().should.equal('/');
+      this.fs.readFileSync('src/' + tempFilename).toString().should.equal('foobar');
+      this.fs.readFileSync('./src/' + tempFilename).toString().should.equal('foobar');
+
+      this.fs.chdir('/src');
+      this.fs.cwd().should.equal('/src');
+      this.fs.readFileSync(tempFilename).toString().should.equal('foobar');
+      this.fs.readFileSync('../src/' + tempFilename).toString().should.equal('foobar');
+    });
+
+    it('should accept a cwd option', (done) => {
+      var fs = createMergedFileSystem({ "/src": tempDir }, { cwd: '/src' });
+
+      fs.readFile(tempFilename, (error, content) => {
+        should(error).not.be.ok();
+        content.toString().should.equal('foobar');
+        fs.clone().cwd().should.equal('/src');
+        done();
+      });
+    });
+
+    it('should normalize mount points', () => {
+      var fs = createMergedFileSystem({ "src//nested/": tempDir });
+
+      fs.mountedPaths.has('/src/nested').should.be.true();
+      fs.readFileSync('/src/nested/' + tempFilename).toString().should.equal('foobar');
+    });
+  });
+
+  describe('symlinks', () => {
+    var links = {
+      'link-to-vendor.js': '/vendor/lib.js',
+      'relative-link.txt': tempFilename,
+      'linked-dir': '/vendor',
+      'loop-a': '/app/loop-b',
+      'loop-b': '/app/loop-a'
+    };
+
+    beforeEach(() => {
+      Object.keys(links).forEach((name) => nodefs.symlinkSync(links[name], path.join(tempDir, name)));
+
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/lib.js', 'vendored');
+
+      this.fs = createMergedFileSystem({
+        "/app": tempDir,
+        "/vendor": this.memoryFS
+      }, { followSymlinks: true });
+    });
+
+    afterEach(() => {
+      Object.keys(links).forEach((name) => nodefs.unlinkSync(path.join(tempDir, name)));
+    });
+
+    it('should follow absolute links through the merged mounts synchronously', () => {
+      this.fs.statSync('/app/link-to-vendor.js').isFile().should.be.true();
+      this.fs.readFileSync('/app/link-to-vendor.js').toString().should.equal('vendored');
+      this.fs.readdirSync('/app/linked-dir').should.match(['lib.js']);
+    });
+
+    it('should follow absolute links through the merged mounts asynchronously', (done) => {
+      this.fs.readFile('/app/link-to-vendor.js', (error, content) => {
+        should(error).not.be.ok();
+        content.toString().should.equal('vendored');
+        done();
+      });
+    });
+
+    it('should follow relative links', () => {
+      this.fs.readFileSync('/app/relative-link.txt').toString().should.equal('foobar');
+    });
+
+    it('should lstat links without following them', (done) => {
+      this.fs.lstatSync('/app/link-to-vendor.js').isSymbolicLink().should.be.true();
+      this.fs.lstatSync('/vendor/lib.js').isFile().should.be.true();
+
+      this.fs.lstat('/app/linked-dir', (error, stats) => {
+        should(error).not.be.ok();
+        stats.isSymbolicLink().should.be.true();
+        done();
+      });
+    });
+
+    it('should resolve realpaths', () => {
+      this.fs.realpathSync('/app/link-to-vendor.js').should.equal('/vendor/lib.js');
+      this.fs.realpathSync('/app/relative-link.txt').should.equal(path.join('/app', tempFilename));
+      this.fs.realpathSync('/app/linked-dir/lib.js').should.equal('/vendor/lib.js');
+      (() => this.fs.realpathSync('/app/nope')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should resolve realpaths asynchronously', (done) => {
+      this.fs.realpath('/app/linked-dir/lib.js', (error, resolved) => {
+        should(error).not.be.ok();
+        resolved.should.equal('/vendor/lib.js');
+
+        this.fs.promises.realpath('/app/link-to-vendor.js').then((resolved) => {
+          resolved.should.equal('/vendor/lib.js');
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should fail with ELOOP on link loops', (done) => {
+      (() => this.fs.statSync('/app/loop-a')).should.throw({ code: 'ELOOP' });
+
+      this.fs.readFile('/app/loop-a', (error) => {
+        error.code.should.equal('ELOOP');
+        done();
+      });
+    });
+
+    it('should leave links to each layer by default', () => {
+      var fs = createMergedFileSystem({
+        "/app": tempDir,
+        "/vendor": this.memoryFS
+      });
+
+      (() => fs.statSync('/app/link-to-vendor.js')).should.throw({ code: 'ENOENT' });
+      fs.readFileSync('/app/relative-link.txt', 'utf8').should.equal('foobar');
+      fs.lstatSync('/app/relative-link.txt').isSymbolicLink().should.be.true();
+    });
+  });
+
+  describe('watching', () => {
+    var createWatchableFS = (files) => {
+      var watchableFS = {
+        listeners: [],
+
+        existsSync: function(filepath) {
+          return files.indexOf(filepath) !== -1;
+        },
+
+        statSync: function(filepath) {
+          return nodefs.statSync(tempDir);
+        },
+
+        watch: function(filepath, options, listener) {
+          watchableFS.listeners.push(listener);
+          return { close: () => watchableFS.listeners.splice(watchableFS.listeners.indexOf(listener), 1) };
+        },
+
+        trigger: function(eventType, filename) {
+          watchableFS.listeners.forEach((listener) => listener(eventType, filename));
+        }
+      };
+
+      return watchableFS;
+    };
+
+    beforeEach(() => {
+      this.upperFS = createWatchableFS(['/shadowed.js']);
+      this.lowerFS = createWatchableFS([]);
+
+      this.fs = createMergedFileSystem({
+        "/watched": [this.upperFS, { alias: '/lower-alias', filesystem: this.lowerFS }],
+        "/disk": tempDir
+      });
+    });
+
+    afterEach(() => {
+      try { nodefs.unlinkSync(path.join(tempDir, 'watched.txt')); } catch (whoCares) {}
+    });
+
+    it('should translate absolute subpaths from custom layers into merged paths', () => {
+      var events = [];
+      var watcher = this.fs.watch('/watched', (eventType, filename) => events.push([eventType, filename]));
+
+      this.upperFS.trigger('change', '/dir/upper.js');
+      this.lowerFS.trigger('rename', '/lower-alias/lower.js');
+      this.lowerFS.trigger('rename', '/outside-alias.js');
+      this.lowerFS.trigger('change', 'relative.js');
+
+      events.should.match([
+        ['change', 'dir/upper.js'],
+        ['rename', 'lower.js'],
+        ['change', 'relative.js']
+      ]);
+
+      watcher.close();
+      this.upperFS.listeners.length.should.equal(0);
+      this.lowerFS.listeners.length.should.equal(0);
+    });
+
+    it('should suppress events from shadowed layers', () => {
+      var events = [];
+      this.fs.watch('/watched', (eventType, filename) => events.push(filename));
+
+      this.lowerFS.trigger('change', '/lower-alias/shadowed.js');
+      this.upperFS.trigger('change', '/shadowed.js');
+
+      events.should.match(['shadowed.js']);
+      events.length.should.equal(1);
+    });
+
+    it('should suppress events for hidden paths', () => {
+      var events = [];
+      this.fs.watch('/watched', (eventType, filename) => events.push(filename));
+      this.fs.hide('/watched/hidden.js');
+
+      this.upperFS.trigger('change', '/hidden.js');
+      events.length.should.equal(0);
+    });
+
+    it('should watch native filesystem aliases', (done) => {
+      var watcher = this.fs.watch('/disk', (eventType, filename) => {
+        if (filename === 'watched.txt') {
+          watcher.close();
+          done();
+        }
+      });
+
+      nodefs.writeFileSync(path.join(tempDir, 'watched.txt'), 'watched');
+    });
+
+    it('should throw when no layer can be watched', () => {
+      (() => this.fs.watch('/disk/nope')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should poll stat changes with watchFile', (done) => {
+      var listener = (current, previous) => {
+        previous.isFile().should.be.false();
+        current.isFile().should.be.true();
+        this.fs.unwatchFile('/disk/watched.txt', listener);
+        this.fs.fileWatchers.size.should.equal(0);
+        done();
+      };
+
+      this.fs.watchFile('/disk/watched.txt', { interval: 10 }, listener);
+      nodefs.writeFileSync(path.join(tempDir, 'watched.txt'), 'watched');
+    });
+  });
+
+  describe('resolution strategies', () => {
+    beforeEach(() => {
+      this.upperFS = new MemoryFileSystem();
+      this.upperFS.mkdirpSync('/config');
+      this.upperFS.writeFileSync('/config/settings.json', '{"a": 1, "b": 1}');
+      this.upperFS.writeFileSync('/config/banner.txt', 'upper;');
+
+      this.lowerFS = new MemoryFileSystem();
+      this.lowerFS.mkdirpSync('/config');
+      this.lowerFS.writeFileSync('/config/settings.json', '{"b": 2, "c": 2}');
+      this.lowerFS.writeFileSync('/config/banner.txt', 'lower;');
+      this.lowerFS.writeFileSync('/config/lower-only.txt', 'lower only');
+
+      this.fs = createMergedFileSystem({
+        "/layered": [this.upperFS, this.lowerFS],
+        "/other": [this.upperFS, this.lowerFS]
+      });
+    });
+
+    it('should union readdir results by default', () => {
+      this.fs.readdirSync('/layered/config').should.match(['banner.txt', 'lower-only.txt', 'settings.json']);
+    });
+
+    it('should override the strategy of a function everywhere', (done) => {
+      this.fs.setStrategy('readdir', 'first');
+      this.fs.readdirSync('/layered/config').sort().should.match(['banner.txt', 'settings.json']);
+
+      this.fs.setStrategy('readFile', 'concat');
+      this.fs.readFileSync('/layered/config/banner.txt').toString().should.equal('upper;lower;');
+
+      this.fs.readFile('/other/config/banner.txt', (error, content) => {
+        should(error).not.be.ok();
+        content.toString().should.equal('upper;lower;');
+        done();
+      });
+    });
+
+    it('should override the strategy of a function for a single mount', () => {
+      this.fs.setStrategy('readFile', 'concat', '/layered');
+
+      this.fs.readFileSync('/layered/config/banner.txt').toString().should.equal('upper;lower;');
+      this.fs.readFileSync('/other/config/banner.txt').toString().should.equal('upper;');
+
+      this.fs.setStrategy('readFile', null, '/layered');
+      this.fs.readFileSync('/layered/config/banner.txt').toString().should.equal('upper;');
+    });
+
+    it('should accept custom merge functions', () => {
+      this.fs.setStrategy('readFile', (errors, results) => {
+        var merged = results.filter(Boolean).reverse().reduce((merged, result) => {
+          return Object.assign(merged, JSON.parse(result));
+        }, {});
+
+        return [undefined, JSON.stringify(merged)];
+      }, '/layered/config');
+
+      JSON.parse(this.fs.readFileSync('/layered/config/settings.json')).should.eql({ a: 1, b: 1, c: 2 });
+    });
+
+    it('should accept strategies as an option', () => {
+      var fs = createMergedFileSystem({ "/layered": [this.upperFS, this.lowerFS] }, {
+        strategies: { readdir: 'first' }
+      });
+
+      fs.readdirSync('/layered/config').sort().should.match(['banner.txt', 'settings.json']);
+      fs.clone().readdirSync('/layered/config').sort().should.match(['banner.txt', 'settings.json']);
+    });
+
+    it('should throw for unknown strategies', () => {
+      (() => this.fs.setStrategy('readdir', 'nope')).should.throw(/Unknown resolution strategy/);
+    });
+
+    it('should register new proxied functions', () => {
+      this.upperFS.readLinesSync = (filepath) => this.upperFS.readFileSync(filepath).toString().split(';');
+      this.lowerFS.readLinesSync = (filepath) => this.lowerFS.readFileSync(filepath).toString().split(';');
+
+      this.fs.registerFunction('readLines', { strategy: 'union' });
+      this.fs.readLinesSync('/layered/config/banner.txt').should.match(['lower', 'upper']);
+
+      return this.fs.promises.readLines('/layered/config/banner.txt').then((lines) => {
+        lines.should.match(['lower', 'upper']);
+        this.fs.clone().readLinesSync('/layered/config/banner.txt').should.match(['lower', 'upper']);
+      });
+    });
+  });
+
+  describe('layer errors', () => {
+    beforeEach(() => {
+      this.fs = createMergedFileSystem({
+        "/layers": [new MemoryFileSystem(), "/NOT REAL", tempDir],
+        "/": "/also not real"
+      });
+    });
+
+    it('should combine the errors of every layer synchronously', () => {
+      try {
+        this.fs.readFileSync('/layers/nope.txt');
+        throw new Error('Should have thrown');
+      } catch (error) {
+        error.code.should.equal('ENOENT');
+        error.syscall.should.equal('readFile');
+        error.path.should.equal('/layers/nope.txt');
+        error.message.should.equal("ENOENT: no such file or directory, readFile '/layers/nope.txt'");
+
+        error.attempts.map((attempt) => [attempt.mountPath, attempt.alias, attempt.subpath]).should.eql([
+          ['/layers', undefined, '/nope.txt'],
+          ['/layers', '/NOT REAL', '/NOT REAL/nope.txt'],
+          ['/layers', tempDir, path.join(tempDir, 'nope.txt')],
+          ['/', '/also not real', '/also not real/layers/nope.txt']
+        ]);
+
+        error.attempts.forEach((attempt) => attempt.error.code.should.equal('ENOENT'));
+      }
+    });
+
+    it('should combine the errors of every layer asynchronously', (done) => {
+      this.fs.stat('/layers/nope.txt', (error) => {
+        error.code.should.equal('ENOENT');
+        error.syscall.should.equal('stat');
+        error.path.should.equal('/layers/nope.txt');
+        error.attempts.length.should.equal(4);
+        done();
+      });
+    });
+
+    it('should combine the errors of readdir', () => {
+      (() => this.fs.readdirSync('/layers/nope')).should.throw({ code: 'ENOENT', path: '/layers/nope', syscall: 'readdir' });
+    });
+
+    it('should use ENOENT for paths that match no mount point', (done) => {
+      var fs = createMergedFileSystem({ "/only": tempDir });
+
+      (() => fs.statSync('/other/file.txt')).should.throw({ code: 'ENOENT', syscall: 'stat', attempts: [] });
+
+      fs.readdir('/other', (error) => {
+        error.code.should.equal('ENOENT');
+        error.path.should.equal('/other');
+        done();
+      });
+    });
+
+    it('should prefer errors with codes over ones without', () => {
+      this.fs.addMountPoint('/layers', { readdirSync: function() { throw new Error('No code'); } });
+      (() => this.fs.readdirSync('/layers/nope')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should include every attempt in stream errors', (done) => {
+      this.fs.createReadStream('/layers/nope.txt').on('error', (error) => {
+        error.code.should.equal('ENOENT');
+        error.attempts.length.should.equal(4);
+        done();
+      });
+    });
+  });
+
+  describe('introspection', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/memory.txt', 'memory');
+
+      this.fs = createMergedFileSystem({
+        "/app": [{ filesystem: this.memoryFS, writable: true }, tempDir],
+        "/vendor/libs": tempDir
+      });
+    });
+
+    it('should list every candidate layer in order', () => {
+      var candidates = this.fs.resolveSync('/app/./memory.txt');
+
+      candidates.map((candidate) => [candidate.mountPath, candidate.label, candidate.alias, candidate.subpath, candidate.writable]).should.eql([
+        ['/app', 'MemoryFileSystem', undefined, '/memory.txt', true],
+        ['/app', 'fs:' + tempDir, tempDir, path.join(tempDir, 'memory.txt'), false]
+      ]);
+
+      candidates[0].filesystem.should.equal(this.memoryFS);
+      this.fs.resolveSync('/nowhere').should.eql([]);
+    });
+
+    it('should list every candidate layer asynchronously', () => {
+      return this.fs.promises.resolve('/vendor/libs/file.txt').then((candidates) => {
+        candidates.length.should.equal(1);
+        candidates[0].subpath.should.equal(path.join(tempDir, 'file.txt'));
+      });
+    });
+
+    it('should find the layer that wins synchronously', () => {
+      var winner = this.fs.whichSync('/app/memory.txt');
+      winner.path.should.equal('/app/memory.txt');
+      winner.label.should.equal('MemoryFileSystem');
+
+      winner = this.fs.whichSync(path.join('/app', tempFilename));
+      winner.alias.should.equal(tempDir);
+
+      this.fs.whichSync('/vendor').should.eql({ path: '/vendor', virtual: true });
+      (() => this.fs.whichSync('/app/nope.txt')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should find the layer that wins asynchronously', (done) => {
+      this.fs.writeFileSync(path.join('/app', tempFilename), 'shadowing');
+
+      this.fs.which(path.join('/app', tempFilename), (error, winner) => {
+        should(error).not.be.ok();
+        winner.label.should.equal('MemoryFileSystem');
+
+        this.fs.which('/app/nope.txt', (error) => {
+          error.code.should.equal('ENOENT');
+          error.attempts.length.should.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('should find layers that have no stat', (done) => {
+      var files = { '/read-only.txt': 'read', '/exists-only.txt': 'exists' };
+      var fs = createMergedFileSystem({
+        "/plain": [
+          { filesystem: { existsSync: (filepath) => filepath === '/exists-only.txt' }, label: 'exists' },
+          {
+            readFileSync: (filepath) => {
+              if (!files[filepath]) {
+                throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+              }
+
+              return Buffer.from(files[filepath]);
+            }
+          }
+        ]
+      });
+
+      fs.whichSync('/plain/exists-only.txt').label.should.equal('exists');
+      fs.whichSync('/plain/read-only.txt').subpath.should.equal('/read-only.txt');
+      (() => fs.whichSync('/plain/nope.txt')).should.throw({ code: 'ENOENT' });
+
+      fs.which('/plain/read-only.txt', (error, winner) => {
+        should(error).not.be.ok();
+        winner.subpath.should.equal('/read-only.txt');
+
+        fs.which('/plain/exists-only.txt', (error, winner) => {
+          should(error).not.be.ok();
+          winner.label.should.equal('exists');
+
+          fs.which('/plain/nope.txt', (error) => {
+            error.code.should.equal('ENOENT');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should always call back asynchronously', (done) => {
+      var returned = false;
+      var calls = 0;
+      var called = () => {
+        returned.should.be.true();
+
+        if (++calls === 3) {
+          done();
+        }
+      };
+
+      this.fs.hide('/app/memory.txt');
+      this.fs.resolve('/app/memory.txt', called);
+      this.fs.which('/app/memory.txt', called);
+      this.fs.which('/nowhere', called);
+
+      returned = true;
+    });
+
+    it('should not find hidden paths', () => {
+      this.fs.hide('/app/memory.txt');
+      (() => this.fs.whichSync('/app/memory.txt')).should.throw({ code: 'ENOENT' });
+    });
+  });
+
+  describe('argument forwarding', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.mkdirpSync('/' + tempFilename);
+      this.memoryFS.writeFileSync('/memory.txt', 'memory');
+
+      this.fs = createMergedFileSystem({
+        "/merged": [this.memoryFS, tempDir],
+        "/merged/nested/mount": tempDir
+      });
+    });
+
+    it('should forward options to sync functions', () => {
+      this.fs.readFileSync('/merged/memory.txt', 'utf8').should.equal('memory');
+      this.fs.readFileSync(path.join('/merged/nested/mount', tempFilename), { encoding: 'utf8' }).should.equal('foobar');
+    });
+
+    it('should merge Dirents synchronously, with the highest precedence layer winning', () => {
+      var dirents = this.fs.readdirSync('/merged', { withFileTypes: true });
+
+      dirents.map((dirent) => dirent.name).should.eql(['memory.txt', 'nested', tempFilename]);
+      dirents[0].isFile().should.be.true();
+      dirents[1].isDirectory().should.be.true();
+      dirents[2].isDirectory().should.be.true();
+      dirents[2].isFile().should.be.false();
+      dirents[2].parentPath.should.equal('/merged');
+    });
+
+    it('should merge Dirents asynchronously', (done) => {
+      this.fs.readdir('/merged', { withFileTypes: true }, (error, dirents) => {
+        should(error).not.be.ok();
+        dirents.map((dirent) => [dirent.name, dirent.isDirectory()]).should.eql([
+          ['memory.txt', false],
+          ['nested', true],
+          [tempFilename, true]
+        ]);
+        done();
+      });
+    });
+
+    it('should return Dirents from native layers', () => {
+      var dirents = this.fs.readdirSync('/merged/nested/mount', { withFileTypes: true });
+
+      dirents.map((dirent) => dirent.name).should.eql([tempFilename]);
+      dirents[0].isFile().should.be.true();
+      dirents[0].parentPath.should.equal('/merged/nested/mount');
+    });
+
+    it('should use the async functions of native layers', (done) => {
+      var statSync = nodefs.statSync;
+      var lstatSync = nodefs.lstatSync;
+      var syncCalls = [];
+
+      nodefs.statSync = (...args) => { syncCalls.push('statSync'); return statSync(...args); };
+      nodefs.lstatSync = (...args) => { syncCalls.push('lstatSync'); return lstatSync(...args); };
+
+      var restore = (error) => {
+        nodefs.statSync = statSync;
+        nodefs.lstatSync = lstatSync;
+        done(error);
+      };
+
+      createMergedFileSystem({ "/": "/" }).stat(tempFilepath, (error, stats) => {
+        try {
+          should(error).not.be.ok();
+          stats.size.should.equal(6);
+          syncCalls.should.eql([]);
+          restore();
+        } catch (e) {
+          restore(e);
+        }
+      });
+    });
+
+    it('should pass options to the sync functions of other callback layers', (done) => {
+      var fixedArityFS = {
+        readdir: (filepath, callback) => callback(undefined, ['from-async.txt']),
+        readdirSync: (filepath, options) => options && options.withFileTypes ? ['from-sync.txt'] : ['from-sync-no-options.txt']
+      };
+      var fs = createMergedFileSystem({ "/fixed": fixedArityFS });
+
+      fs.readdir('/fixed', (error, entries) => {
+        should(error).not.be.ok();
+        entries.should.eql(['from-async.txt']);
+
+        fs.readdir('/fixed', { withFileTypes: true }, (error, dirents) => {
+          should(error).not.be.ok();
+          dirents.map((dirent) => dirent.name).should.eql(['from-sync.txt']);
+          done();
+        });
+      });
+    });
+
+    it('should pass options to the async functions of native layers', (done) => {
+      var readFileSync = nodefs.readFileSync;
+      var syncCalls = 0;
+
+      nodefs.readFileSync = (...args) => { syncCalls++; return readFileSync(...args); };
+
+      var restore = (error) => {
+        nodefs.readFileSync = readFileSync;
+        done(error);
+      };
+
+      createMergedFileSystem({ "/disk": { alias: tempDir, include: '*' } }).readFile(path.join('/disk', tempFilename), 'utf8', (error, content) => {
+        try {
+          should(error).not.be.ok();
+          content.should.equal('foobar');
+          syncCalls.should.equal(0);
+          restore();
+        } catch (e) {
+          restore(e);
+        }
+      });
+    });
+
+    it('should leave out hidden Dirents', () => {
+      this.fs.hide('/merged/memory.txt');
+      this.fs.readdirSync('/merged', { withFileTypes: true }).map((dirent) => dirent.name).should.eql(['nested', tempFilename]);
+    });
+  });
+
+  describe('caching', () => {
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.mkdirpSync('/dir');
+      this.memoryFS.writeFileSync('/dir/file.txt', 'before');
+
+      this.fs = createMergedFileSystem({
+        "/app": [{ filesystem: this.memoryFS, writable: true }, tempDir]
+      }, { cache: true });
+    });
+
+    it('should not cache unless asked to', () => {
+      var uncachedFS = createMergedFileSystem({ "/app": this.memoryFS });
+
+      uncachedFS.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+      this.memoryFS.writeFileSync('/dir/file.txt', 'after');
+      uncachedFS.readFileSync('/app/dir/file.txt', 'utf8').should.equal('after');
+    });
+
+    it('should cache results and errors until purged', () => {
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+      (() => this.fs.statSync('/app/dir/new.txt')).should.throw({ code: 'ENOENT' });
+
+      this.memoryFS.writeFileSync('/dir/file.txt', 'after');
+      this.memoryFS.writeFileSync('/dir/new.txt', 'new');
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+      (() => this.fs.statSync('/app/dir/new.txt')).should.throw({ code: 'ENOENT' });
+
+      this.fs.purge('/app/dir/file.txt');
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('after');
+      (() => this.fs.statSync('/app/dir/new.txt')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should purge descendants too', () => {
+      this.fs.readdirSync('/app/dir').should.eql(['file.txt']);
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+
+      this.memoryFS.writeFileSync('/dir/file.txt', 'after');
+      this.memoryFS.writeFileSync('/dir/new.txt', 'new');
+      this.fs.purge(['/app/dir']);
+
+      this.fs.readdirSync('/app/dir').should.eql(['file.txt', 'new.txt']);
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('after');
+    });
+
+    it("should call each layer's purge with its own path", () => {
+      var purged = [];
+      var purgingFS = { purge: (filepath) => purged.push(filepath) };
+
+      this.fs = createMergedFileSystem({
+        "/app": [purgingFS, { alias: '/aliased', filesystem: purgingFS }],
+        "/app/nested": purgingFS,
+        "/other": purgingFS
+      }, { cache: true });
+
+      this.fs.purge('/app/dir');
+      purged.should.eql(['/dir', '/aliased/dir']);
+
+      purged = [];
+      this.fs.purge('/app');
+      purged.should.eql(['/', '/', '/aliased']);
+    });
+
+    it('should expire results after their TTL', (done) => {
+      this.fs = createMergedFileSystem({ "/app": this.memoryFS }, { cache: { readFile: 5 } });
+
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+      this.memoryFS.writeFileSync('/dir/file.txt', 'after');
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+
+      setTimeout(() => {
+        this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('after');
+        done();
+      }, 20);
+    });
+
+    it('should invalidate paths written through the merged filesystem', () => {
+      this.fs.readdirSync('/app/dir').should.eql(['file.txt']);
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('before');
+
+      this.fs.writeFileSync('/app/dir/file.txt', 'after');
+      this.fs.writeFileSync('/app/dir/new.txt', 'new');
+
+      this.fs.readFileSync('/app/dir/file.txt', 'utf8').should.equal('after');
+      this.fs.readdirSync('/app/dir').should.eql(['file.txt', 'new.txt']);
+    });
+
+    it('should share in-flight async requests', (done) => {
+      var calls = 0;
+      var slowFS = {
+        readFile: (filepath, callback) => {
+          calls++;
+          setTimeout(() => callback(undefined, 'slow'), 5);
+        }
+      };
+
+      this.fs = createMergedFileSystem({ "/app": slowFS }, { cache: true });
+
+      var results = [];
+      var onResult = (error, content) => {
+        should(error).not.be.ok();
+        results.push(content);
+
+        if (results.length === 2) {
+          results.should.eql(['slow', 'slow']);
+          calls.should.equal(1);
+
+          this.fs.promises.readFile('/app/file.txt').then((content) => {
+            content.should.equal('slow');
+            calls.should.equal(1);
+            done();
+          }, done);
+        }
+      };
+
+      this.fs.readFile('/app/file.txt', onResult);
+      this.fs.readFile('/app/file.txt', onResult);
+    });
+  });
+
+  describe('changing mount points', () => {
+    beforeEach(() => {
+      this.firstFS = new MemoryFileSystem();
+      this.firstFS.writeFileSync('/file.txt', 'first');
+      this.secondFS = new MemoryFileSystem();
+      this.secondFS.writeFileSync('/file.txt', 'second');
+
+      this.fs = createMergedFileSystem({
+        "/app": [this.firstFS, tempDir]
+      });
+    });
+
+    it('should add layers at an explicit position', () => {
+      this.fs.addMountPoint('/app', this.secondFS, { position: 'last' });
+      this.fs.getMountPoints()['/app'].should.eql([
+        { filesystem: this.firstFS },
+        { alias: tempDir },
+        { filesystem: this.secondFS }
+      ]);
+
+      this.fs.addMountPoint('/app', '/somewhere', { position: 1 });
+      this.fs.getMountPoints()['/app'][1].should.eql({ alias: '/somewhere' });
+
+      (() => this.fs.addMountPoint('/app', this.secondFS, { position: 'middle' })).should.throw(TypeError);
+    });
+
+    it('should remove whole mount points or single layers', () => {
+      this.fs.addMountPoint('/other', this.secondFS);
+
+      this.fs.removeMountPoint('/app', tempDir).should.be.true();
+      this.fs.getMountPoints()['/app'].should.eql([{ filesystem: this.firstFS }]);
+      this.fs.removeMountPoint('/app', this.secondFS).should.be.false();
+
+      this.fs.removeMountPoint('/other/').should.be.true();
+      Object.keys(this.fs.getMountPoints()).should.eql(['/app']);
+      (() => this.fs.readFileSync('/other/file.txt')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should replace a single layer in place', () => {
+      this.fs.readFileSync('/app/file.txt', 'utf8').should.equal('first');
+
+      this.fs.replaceMountPoint('/app', this.secondFS, this.firstFS).should.be.true();
+      this.fs.readFileSync('/app/file.txt', 'utf8').should.equal('second');
+      this.fs.getMountPoints()['/app'].should.eql([{ filesystem: this.secondFS }, { alias: tempDir }]);
+
+      this.fs.replaceMountPoint('/app', this.firstFS, this.firstFS).should.be.false();
+    });
+
+    it('should replace every layer of a mount point', () => {
+      this.fs.replaceMountPoint('/app', [this.secondFS]).should.be.true();
+      this.fs.getMountPoints()['/app'].should.eql([{ filesystem: this.secondFS }]);
+      this.fs.readdirSync('/app').should.eql(['file.txt']);
+    });
+
+    it('should return a snapshot', () => {
+      var mountPoints = this.fs.getMountPoints();
+
+      mountPoints['/app'].pop();
+      this.fs.getMountPoints()['/app'].length.should.equal(2);
+      createMergedFileSystem(mountPoints).readFileSync('/app/file.txt', 'utf8').should.equal('first');
+    });
+
+    it('should emit change events', () => {
+      var changes = [];
+      this.fs.on('mountchange', (change) => changes.push(change));
+
+      this.fs.addMountPoint('/other', this.secondFS);
+      this.fs.replaceMountPoint('/other', this.firstFS);
+      this.fs.removeMountPoint('/other');
+
+      changes.should.eql([
+        { type: 'add', mountPath: '/other', added: [{ filesystem: this.secondFS }], removed: [] },
+        { type: 'replace', mountPath: '/other', added: [{ filesystem: this.firstFS }], removed: [{ filesystem: this.secondFS }] },
+        { type: 'remove', mountPath: '/other', added: [], removed: [{ filesystem: this.firstFS }] }
+      ]);
+    });
+
+    it('should invalidate cached results', () => {
+      this.fs = createMergedFileSystem({ "/app": this.firstFS }, { cache: true });
+      this.fs.readFileSync('/app/file.txt', 'utf8').should.equal('first');
+
+      this.fs.replaceMountPoint('/app', this.secondFS);
+      this.fs.readFileSync('/app/file.txt', 'utf8').should.equal('second');
+    });
+
+    it('should move watchers over to the new layers', () => {
+      var events = [];
+      var watchableFS = () => ({
+        listeners: [],
+        watch: function(filepath, options, listener) {
+          this.listeners.push(listener);
+          return { close: () => this.listeners.splice(this.listeners.indexOf(listener), 1) };
+        }
+      });
+      var oldFS = watchableFS();
+      var newFS = watchableFS();
+
+      this.fs.addMountPoint('/watched', oldFS);
+      var watcher = this.fs.watch('/watched', (eventType, filename) => events.push([eventType, filename]));
+
+      this.fs.replaceMountPoint('/watched', newFS);
+      oldFS.listeners.length.should.equal(0);
+      newFS.listeners.length.should.equal(1);
+      events.should.eql([['rename', 'watched']]);
+
+      watcher.close();
+      newFS.listeners.length.should.equal(0);
+      this.fs.replaceMountPoint('/watched', oldFS);
+      events.length.should.equal(1);
+    });
+
+    it('should not add a mountchange listener for every watcher', () => {
+      var events = 0;
+      var watchers = [];
+
+      this.fs.addMountPoint('/watched', { watch: () => ({ close: () => {} }) });
+
+      for (var i = 0; i < 12; i++) {
+        watchers.push(this.fs.watch('/watched', () => events++));
+      }
+
+      this.fs.listeners('mountchange').length.should.equal(0);
+      this.fs.replaceMountPoint('/watched', { watch: () => ({ close: () => {} }) });
+      events.should.equal(12);
+
+      watchers.forEach((watcher) => watcher.close());
+    });
+  });
+
+  describe('layer options', () => {
+    beforeEach(() => {
+      this.modulesFS = new MemoryFileSystem();
+      this.modulesFS.mkdirpSync('/node_modules/lodash/fp');
+      this.modulesFS.mkdirpSync('/node_modules/react');
+      this.modulesFS.mkdirpSync('/node_modules/styles/nested');
+      this.modulesFS.writeFileSync('/node_modules/lodash/index.js', 'lodash');
+      this.modulesFS.writeFileSync('/node_modules/lodash/fp/map.js', 'map');
+      this.modulesFS.writeFileSync('/node_modules/react/index.js', 'react');
+      this.modulesFS.writeFileSync('/node_modules/styles/main.scss', 'main');
+      this.modulesFS.writeFileSync('/node_modules/styles/nested/other.scss', 'other');
+      this.modulesFS.writeFileSync('/node_modules/styles/index.js', 'styles');
+
+      this.writableFS = new MemoryFileSystem();
+    });
+
+    it('should only expose included paths', () => {
+      this.fs = createMergedFileSystem({
+        "/modules": { alias: '/node_modules', filesystem: this.modulesFS, include: 'lodash/**' }
+      });
+
+      this.fs.readdirSync('/modules').should.eql(['lodash']);
+      this.fs.readdirSync('/modules/lodash').should.eql(['fp', 'index.js']);
+      this.fs.readFileSync('/modules/lodash/fp/map.js', 'utf8').should.equal('map');
+      this.fs.statSync('/modules').isDirectory().should.be.true();
+      (() => this.fs.readFileSync('/modules/react/index.js')).should.throw({ code: 'ENOENT' });
+      (() => this.fs.statSync('/modules/react')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should only answer for matching files, while keeping directories that lead to them', (done) => {
+      this.fs = createMergedFileSystem({
+        "/modules": [
+          { alias: '/node_modules', filesystem: this.modulesFS, include: ['**/*.scss'] },
+          { alias: '/node_modules/lodash', filesystem: this.modulesFS }
+        ]
+      });
+
+      this.fs.readdirSync('/modules/styles').should.eql(['main.scss', 'nested']);
+      this.fs.readFileSync('/modules/styles/nested/other.scss', 'utf8').should.equal('other');
+      this.fs.statSync('/modules/styles/nested').isDirectory().should.be.true();
+
+      // Falls through to the next layer
+      this.fs.readFileSync('/modules/index.js', 'utf8').should.equal('lodash');
+
+      this.fs.readdir('/modules/styles', { withFileTypes: true }, (error, dirents) => {
+        should(error).not.be.ok();
+        dirents.map((dirent) => dirent.name).should.eql(['main.scss', 'nested']);
+
+        this.fs.readFile('/modules/styles/index.js', (error) => {
+          error.code.should.equal('ENOENT');
+          done();
+        });
+      });
+    });
+
+    it('should leave out excluded paths', () => {
+      this.fs = createMergedFileSystem({
+        "/modules": { alias: '/node_modules', filesystem: this.modulesFS, exclude: ['react', '**/fp'] }
+      });
+
+      this.fs.readdirSync('/modules').should.eql(['lodash', 'styles']);
+      this.fs.readdirSync('/modules/lodash').should.eql(['index.js']);
+      (() => this.fs.readFileSync('/modules/lodash/fp/map.js')).should.throw({ code: 'ENOENT' });
+      (() => this.fs.readFileSync('/modules/react/index.js')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should skip filtered layers when resolving', () => {
+      this.fs = createMergedFileSystem({
+        "/modules": { alias: '/node_modules', filesystem: this.modulesFS, include: '{lodash,react}/**' }
+      });
+
+      this.fs.resolveSync('/modules/react/index.js').length.should.equal(1);
+      this.fs.resolveSync('/modules/styles/index.js').should.eql([]);
+      this.fs.whichSync('/modules/react/index.js').subpath.should.equal('/node_modules/react/index.js');
+    });
+
+    it('should not write to (or through) read-only layers', () => {
+      this.fs = createMergedFileSystem({
+        "/app": { filesystem: this.writableFS, writable: true },
+        "/app/vendor": { filesystem: this.modulesFS, readOnly: true, label: 'vendor' },
+        "/app/locked": { filesystem: this.modulesFS, writable: true, readOnly: true }
+      });
+
+      (() => this.fs.writeFileSync('/app/vendor/file.txt', 'x')).should.throw({ code: 'EROFS' });
+      (() => this.fs.mkdirSync('/app/locked/dir')).should.throw({ code: 'EROFS' });
+      this.fs.writeFileSync('/app/file.txt', 'x');
+      this.writableFS.readFileSync('/file.txt', 'utf8').should.equal('x');
+      this.fs.resolveSync('/app/locked').map((candidate) => candidate.writable).should.eql([false, true]);
+    });
+
+    it('should use labels in diagnostics', () => {
+      this.fs = createMergedFileSystem({
+        "/modules": [
+          { alias: '/node_modules', filesystem: this.modulesFS, label: 'packages' },
+          '/nowhere'
+        ]
+      });
+
+      this.fs.resolveSync('/modules').map((candidate) => candidate.label).should.eql(['packages', 'fs:/nowhere']);
+
+      try {
+        this.fs.readFileSync('/modules/missing.js');
+        throw new Error('should have thrown');
+      } catch (error) {
+        error.attempts.map((attempt) => attempt.label).should.eql(['packages', 'fs:/nowhere']);
+      }
+    });
+  });
+
+  describe('transforms', () => {
+    var addBanner = (content) => '/* banner */\n' + content;
+
+    beforeEach(() => {
+      this.memoryFS = new MemoryFileSystem();
+      this.memoryFS.writeFileSync('/app.js', 'app();');
+      this.memoryFS.writeFileSync('/config.json', '{"env": "__ENV__"}');
+
+      this.fs = createMergedFileSystem({
+        "/src": [
+          { filesystem: this.memoryFS, label: 'memory', transform: (content) => content.toString().replace('__ENV__', 'test') },
+          tempDir
+        ]
+      });
+    });
+
+    it('should transform content from matching paths synchronously', () => {
+      var contexts = [];
+
+      this.fs.addTransform('/src/**/*.js', (content, context) => {
+        contexts.push(context);
+        return addBanner(content);
+      });
+
+      this.fs.readFileSync('/src/app.js', 'utf8').should.equal('/* banner */\napp();');
+      this.fs.readFileSync('/src/app.js').should.eql(Buffer.from('/* banner */\napp();'));
+      this.fs.readFileSync(path.join('/src', tempFilename), 'utf8').should.equal('foobar');
+
+      contexts[0].should.match({ path: '/src/app.js', mountPath: '/src', subpath: '/app.js', label: 'memory' });
+      contexts[0].layer.filesystem.should.equal(this.memoryFS);
+    });
+
+    it('should apply layer transforms before global ones', () => {
+      this.fs.addTransform('**/*.json', (content) => JSON.stringify(JSON.parse(content)).toUpperCase());
+      this.fs.readFileSync('/src/config.json', { encoding: 'utf8' }).should.equal('{"ENV":"TEST"}');
+    });
+
+    it('should transform content asynchronously', (done) => {
+      this.fs.addTransform('/src/app.js', addBanner);
+
+      this.fs.readFile('/src/app.js', 'utf8', (error, content) => {
+        should(error).not.be.ok();
+        content.should.equal('/* banner */\napp();');
+
+        this.fs.promises.readFile('/src/config.json', 'utf8').then((content) => {
+          content.should.equal('{"env": "test"}');
+          done();
+        }, done);
+      });
+    });
+
+    it('should reflect transformed content in stats', (done) => {
+      this.fs.addTransform('/src/app.js', addBanner);
+
+      this.fs.statSync('/src/app.js').size.should.equal('/* banner */\napp();'.length);
+      this.fs.statSync('/src/app.js').isFile().should.be.true();
+      this.fs.statSync(path.join('/src', tempFilename)).size.should.equal(6);
+
+      this.fs.stat('/src/config.json', (error, stats) => {
+        should(error).not.be.ok();
+        stats.size.should.equal('{"env": "test"}'.length);
+        done();
+      });
+    });
+
+    it('should transform read streams', (done) => {
+      this.fs.addTransform(path.join('/src', tempFilename), (content) => content.toString().toUpperCase());
+
+      var chunks = [];
+      this.fs.createReadStream(path.join('/src', tempFilename), 'utf8')
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('error', done)
+        .on('end', () => {
+          chunks.join('').should.equal('FOOBAR');
+          done();
+        });
+    });
+
+    it('should not fall through when a transform fails', (done) => {
+      this.fs.addTransform('/src/app.js', () => { throw new Error('Bad transform'); });
+
+      (() => this.fs.readFileSync('/src/app.js')).should.throw('Bad transform');
+
+      this.fs.readFile('/src/app.js', (error) => {
+        error.message.should.equal('Bad transform');
+        done();
+      });
+    });
+
+    it('should remove transforms', () => {
+      this.fs.addTransform('/src/app.js', addBanner);
+      this.fs.removeTransform(addBanner);
+      this.fs.readFileSync('/src/app.js', 'utf8').should.equal('app();');
+    });
+  });
+
+  describe('webpack adapter', function() {
+    this.timeout(20000);
+
+    var libDir = path.join(tempDir, 'lib');
+    var libFile = path.join(libDir, 'greet.js');
+
+    beforeEach(() => {
+      nodefs.mkdirSync(libDir);
+      nodefs.writeFileSync(libFile, "module.exports = function(name) { return 'Hello ' + name; };");
+
+      this.srcFS = new MemoryFileSystem();
+      this.srcFS.writeFileSync('/index.js', "var greet = require('lib/greet'); module.exports = greet('webpack');");
+      this.outFS = new MemoryFileSystem();
+
+      this.mergedFS = createMergedFileSystem({
+        "/project/src": this.srcFS,
+        "/project/node_modules/lib": libDir,
+        "/project/dist": { filesystem: this.outFS, writable: true }
+      });
+
+      this.webpackFS = createMergedFileSystem.createWebpackFileSystem(this.mergedFS);
+    });
+
+    afterEach(() => {
+      nodefs.unlinkSync(libFile);
+      nodefs.rmdirSync(libDir);
+    });
+
+    it('should have path helpers', () => {
+      this.webpackFS.join('/project', 'dist', '../src').should.equal('/project/src');
+      this.webpackFS.dirname('/project/dist/main.js').should.equal('/project/dist');
+      this.webpackFS.relative('/project/src', '/project/dist/main.js').should.equal('../dist/main.js');
+      this.webpackFS.normalize('/project//src/').should.equal('/project/src/');
+    });
+
+    it('should mkdirp in the write layer', (done) => {
+      this.webpackFS.mkdirpSync('/project/dist/a/b');
+      this.webpackFS.mkdirpSync('/project/dist/a/b');
+      this.outFS.statSync('/a/b').isDirectory().should.be.true();
+
+      this.webpackFS.mkdirp('/project/dist/c/d', (error) => {
+        should(error).not.be.ok();
+        this.outFS.statSync('/c/d').isDirectory().should.be.true();
+
+        this.webpackFS.mkdirp('/project/src/e', (error) => {
+          error.code.should.equal('EROFS');
+          done();
+        });
+      });
+    });
+
+    it('should return bigint stats', (done) => {
+      var stats = this.webpackFS.statSync('/project/node_modules/lib/greet.js', { bigint: true });
+
+      (typeof stats.size).should.equal('bigint');
+      stats.isFile().should.be.true();
+      (typeof this.webpackFS.statSync('/project/node_modules/lib/greet.js').size).should.equal('number');
+      this.webpackFS.statSync('/project/src/index.js', { bigint: true }).isFile().should.be.true();
+
+      this.webpackFS.stat('/project', { bigint: true }, (error, stats) => {
+        should(error).not.be.ok();
+        stats.isDirectory().should.be.true();
+        (typeof stats.mtimeNs).should.equal('bigint');
+        done();
+      });
+    });
+
+    it('should compile entirely from the merged filesystem', (done) => {
+      var compiler = webpack({
+        context: '/project',
+        entry: './src/index.js',
+        mode: 'none',
+        cache: false,
+        output: { path: '/project/dist', filename: 'bundle.js', library: { type: 'commonjs2' } },
+        infrastructureLogging: { level: 'none' }
+      });
+
+      compiler.inputFileSystem = this.webpackFS;
+      compiler.outputFileSystem = this.webpackFS;
+      compiler.intermediateFileSystem = this.webpackFS;
+
+      compiler.run((error, stats) => {
+        if (error) {
+          return done(error);
+        }
+
+        stats.hasErrors().should.be.false();
+
+        var bundle = this.outFS.readFileSync('/bundle.js', 'utf8');
+        var bundleModule = { exports: {} };
+
+        new Function('module', 'exports', bundle)(bundleModule, bundleModule.exports);
+        bundleModule.exports.should.equal('Hello webpack');
+
+        compiler.close(done);
+      });
+    });
+  });
+
+  describe('built-in memory filesystem', () => {
+    var BuiltInMemoryFileSystem = createMergedFileSystem.MemoryFileSystem;
+
+    beforeEach(() => {
+      this.memoryFS = new BuiltInMemoryFileSystem({
+        'a.txt': 'hi',
+        dir: { 'b.js': 'b();', nested: {} }
+      });
+
+      this.fs = createMergedFileSystem({
+        "/fixtures": { files: { 'readme.md': '# Fixtures', src: { 'index.js': 'index();' } } },
+        "/memory": { filesystem: this.memoryFS, writable: true }
+      });
+    });
+
+    it('should mount object literals', () => {
+      this.fs.readFileSync('/fixtures/readme.md', 'utf8').should.equal('# Fixtures');
+      this.fs.readdirSync('/fixtures').should.eql(['readme.md', 'src']);
+      this.fs.statSync('/fixtures/src').isDirectory().should.be.true();
+      this.fs.statSync('/fixtures/src/index.js').size.should.equal(8);
+      (() => this.fs.writeFileSync('/fixtures/new.txt', 'x')).should.throw({ code: 'EROFS' });
+    });
+
+    it('should not let writes to object literals fall through to less specific mounts', () => {
+      var rootFS = new BuiltInMemoryFileSystem({ fixtures: {} });
+      var fs = createMergedFileSystem({
+        "/": { filesystem: rootFS, writable: true },
+        "/fixtures": { files: { 'a.txt': 'hi' } },
+        "/seeded": { files: { 'b.txt': 'b' }, writable: true }
+      });
+
+      (() => fs.writeFileSync('/fixtures/a.txt', 'overwritten')).should.throw({ code: 'EROFS' });
+      rootFS.readdirSync('/fixtures').should.eql([]);
+      fs.readFileSync('/fixtures/a.txt', 'utf8').should.equal('hi');
+
+      fs.writeFileSync('/seeded/b.txt', 'changed');
+      fs.readFileSync('/seeded/b.txt', 'utf8').should.equal('changed');
+    });
+
+    it('should return proper stats', () => {
+      var stats = this.memoryFS.statSync('/a.txt');
+
+      stats.isFile().should.be.true();
+      stats.isDirectory().should.be.false();
+      stats.size.should.equal(2);
+      stats.mtime.should.be.instanceOf(Date);
+      this.memoryFS.statSync('/dir').isDirectory().should.be.true();
+      (() => this.memoryFS.statSync('/nope')).should.throw({ code: 'ENOENT', syscall: 'stat', path: '/nope' });
+      (() => this.memoryFS.readFileSync('/dir')).should.throw({ code: 'EISDIR' });
+      (() => this.memoryFS.readdirSync('/a.txt')).should.throw({ code: 'ENOTDIR' });
+    });
+
+    it('should read and write through the merged filesystem', () => {
+      this.fs.writeFileSync('/memory/dir/new.txt', 'new');
+      this.fs.mkdirSync('/memory/other');
+      this.fs.renameSync('/memory/a.txt', '/memory/other/a.txt');
+
+      this.fs.readdirSync('/memory').should.eql(['dir', 'other']);
+      this.fs.readdirSync('/memory/dir').should.eql(['b.js', 'nested', 'new.txt']);
+      this.fs.readFileSync('/memory/other/a.txt', 'utf8').should.equal('hi');
+
+      (() => this.fs.rmdirSync('/memory/dir')).should.throw({ code: 'ENOTEMPTY' });
+      (() => this.memoryFS.mkdirSync('/dir')).should.throw({ code: 'EEXIST' });
+      (() => this.memoryFS.mkdirSync('/x/y')).should.throw({ code: 'ENOENT' });
+
+      this.memoryFS.mkdirSync('/x/y', { recursive: true });
+      this.fs.unlinkSync('/memory/dir/new.txt');
+      this.fs.rmdirSync('/memory/x/y');
+      this.memoryFS.readdirSync('/x').should.eql([]);
+    });
+
+    it('should have callback versions', (done) => {
+      this.memoryFS.writeFile('/c.txt', 'c', (error) => {
+        should(error).not.be.ok();
+
+        this.memoryFS.readFile('/c.txt', 'utf8', (error, content) => {
+          should(error).not.be.ok();
+          content.should.equal('c');
+
+          this.memoryFS.readdir('/dir', { withFileTypes: true }, (error, dirents) => {
+            should(error).not.be.ok();
+            dirents.map((dirent) => [dirent.name, dirent.isDirectory()]).should.eql([['b.js', false], ['nested', true]]);
+
+            this.memoryFS.stat('/nope', (error) => {
+              error.code.should.equal('ENOENT');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should support symlinks', () => {
+      this.memoryFS.symlinkSync('dir/b.js', '/link.js');
+      this.memoryFS.symlinkSync('dir', '/dir-link');
+      this.memoryFS.symlinkSync('/dir', '/absolute-link');
+
+      this.memoryFS.readlinkSync('/link.js').should.equal('dir/b.js');
+      this.memoryFS.lstatSync('/link.js').isSymbolicLink().should.be.true();
+      this.memoryFS.readFileSync('/link.js', 'utf8').should.equal('b();');
+      this.memoryFS.realpathSync('/dir-link/b.js').should.equal('/dir/b.js');
+      this.memoryFS.realpathSync('/absolute-link/nested').should.equal('/dir/nested');
+      (() => this.memoryFS.symlinkSync('/a.txt', '/link.js')).should.throw({ code: 'EEXIST' });
+      (() => this.memoryFS.readlinkSync('/a.txt')).should.throw({ code: 'EINVAL' });
+
+      this.fs.readFileSync('/memory/dir-link/b.js', 'utf8').should.equal('b();');
+      this.fs.realpathSync('/memory/link.js').should.equal('/memory/dir/b.js');
+
+      this.memoryFS.symlinkSync('/loop', '/loop');
+      (() => this.memoryFS.statSync('/loop')).should.throw({ code: 'ELOOP' });
+    });
+
+    it('should be watchable', () => {
+      var events = [];
+      var watcher = this.fs.watch('/memory/dir', (eventType, filename) => events.push([eventType, filename]));
+
+      this.fs.writeFileSync('/memory/dir/b.js', 'changed();');
+      this.fs.writeFileSync('/memory/dir/c.js', 'c();');
+      this.fs.writeFileSync('/memory/a.txt', 'not watched');
+      watcher.close();
+      this.fs.writeFileSync('/memory/dir/d.js', 'd();');
+
+      events.should.eql([['change', 'b.js'], ['rename', 'c.js']]);
+    });
+  });
+
+  describe('archives', () => {
+    // Minimal ustar writer, entries are [name, content] or [name, { symlink }]
+    var createTar = (entries) => {
+      var blocks = entries.map((entry) => {
+        var header = Buffer.alloc(512);
+        var isLink = typeof entry[1] === 'object';
+        var content = isLink ? Buffer.alloc(0) : Buffer.from(entry[1]);
+        var isDirectory = entry[0].slice(-1) === '/';
+
+        header.write(entry[0], 0);
+        header.write(isDirectory ? '0000755' : '0000644', 100);
+        header.write(content.length.toString(8).padStart(11, '0'), 124);
+        header.write('14000000000', 136);
+        header.write(isDirectory ? '5' : isLink ? '2' : '0', 156);
+        header.write(isLink ? entry[1].symlink : '', 157);
+        header.write('ustar', 257);
+        header.write('        ', 148);
+
+        var checksum = 0;
+        for (var i = 0; i < 512; i++) { checksum += header[i]; }
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+        return Buffer.concat([header, content, Buffer.alloc((512 - content.length % 512) % 512)]);
+      });
+
+      return Buffer.concat(blocks.concat([Buffer.alloc(1024)]));
+    };
+
+    // Minimal zip writer, with deflated entries
+    var createZip = (entries) => {
+      var localParts = [];
+      var centralParts = [];
+      var offset = 0;
+
+      entries.forEach((entry) => {
+        var name = Buffer.from(entry[0]);
+        var content = Buffer.from(entry[1]);
+        var compressed = zlib.deflateRawSync(content);
+        var local = Buffer.alloc(30);
+        var central = Buffer.alloc(46);
+
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0x5021, 14);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+      });
+
+      var centralDirectory = Buffer.concat(centralParts);
+      var end = Buffer.alloc(22);
+
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(centralDirectory.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      return Buffer.concat(localParts.concat([centralDirectory, end]));
+    };
+
+    var tarPath = path.join(tempDir, 'bundle.tar');
+    var tgzPath = path.join(tempDir, 'bundle.tgz');
+    var zipPath = path.join(tempDir, 'bundle.zip');
+
+    beforeEach(() => {
+      var tar = createTar([
+        ['package/', ''],
+        ['package/index.js', 'module.exports = 1;'],
+        ['package/lib/util.js', 'util();'],
+        ['package/link.js', { symlink: 'index.js' }]
+      ]);
+
+      nodefs.writeFileSync(tarPath, tar);
+      nodefs.writeFileSync(tgzPath, zlib.gzipSync(tar));
+      nodefs.writeFileSync(zipPath, createZip([
+        ['assets/', ''],
+        ['assets/logo.svg', '<svg></svg>'],
+        ['assets/css/main.css', 'body {}']
+      ]));
+
+      this.fs = createMergedFileSystem({
+        "/tar": { archive: tarPath, alias: '/package' },
+        "/tgz": [{ archive: tgzPath, alias: '/package' }, tempDir],
+        "/zip": { archive: zipPath }
+      });
+    });
+
+    afterEach(() => {
+      [tarPath, tgzPath, zipPath].forEach((filepath) => nodefs.unlinkSync(filepath));
+    });
+
+    it('should read tar archives', () => {
+      this.fs.readdirSync('/tar').should.eql(['index.js', 'lib', 'link.js']);
+      this.fs.readFileSync('/tar/lib/util.js', 'utf8').should.equal('util();');
+      this.fs.statSync('/tar/lib').isDirectory().should.be.true();
+      this.fs.statSync('/tar/index.js').size.should.equal(19);
+      this.fs.statSync('/tar/index.js').mtime.getTime().should.equal(parseInt('14000000000', 8) * 1000);
+      this.fs.lstatSync('/tar/link.js').isSymbolicLink().should.be.true();
+      this.fs.readFileSync('/tar/link.js', 'utf8').should.equal('module.exports = 1;');
+      (() => this.fs.readFileSync('/tar/missing.js')).should.throw({ code: 'ENOENT' });
+    });
+
+    it('should follow symlinked directories in archives', () => {
+      nodefs.writeFileSync(tarPath, createTar([
+        ['lib/util.js', 'util();'],
+        ['src', { symlink: 'lib' }],
+        ['current', { symlink: 'src' }]
+      ]));
+
+      var fs = createMergedFileSystem({ "/tar": { archive: tarPath } });
+
+      fs.readFileSync('/tar/src/util.js', 'utf8').should.equal('util();');
+      fs.readFileSync('/tar/current/util.js', 'utf8').should.equal('util();');
+      fs.readdirSync('/tar/current', { withFileTypes: true })
+        .map((dirent) => [dirent.name, dirent.isFile()]).should.eql([['util.js', true]]);
+      fs.lstatSync('/tar/current').isSymbolicLink().should.be.true();
+      (() => fs.readFileSync('/tar/lib/util.js/x')).should.throw({ code: 'ENOTDIR' });
+    });
+
+    it('should fall through gzipped tar archives', () => {
+      this.fs.readdirSync('/tgz').should.eql(['bundle.tar', 'bundle.tgz', 'bundle.zip', 'index.js', 'lib', 'link.js', tempFilename]);
+      this.fs.readFileSync('/tgz/index.js', 'utf8').should.equal('module.exports = 1;');
+      this.fs.readFileSync(path.join('/tgz', tempFilename), 'utf8').should.equal('foobar');
+      this.fs.whichSync('/tgz/index.js').label.should.equal(`archive:${tgzPath}:/package`);
+    });
+
+    it('should read zip archives asynchronously', (done) => {
+      this.fs.readdir('/zip/assets', { withFileTypes: true }, (error, dirents) => {
+        should(error).not.be.ok();
+        dirents.map((dirent) => [dirent.name, dirent.isDirectory()]).should.eql([['css', true], ['logo.svg', false]]);
+
+        this.fs.promises.readFile('/zip/assets/css/main.css', 'utf8').then((content) => {
+          content.should.equal('body {}');
+          done();
+        }, done);
+      });
+    });
+
+    it('should stream archive entries', (done) => {
+      var chunks = [];
+
+      this.fs.createReadStream('/zip/assets/logo.svg', { encoding: 'utf8', start: 1, end: 3 })
+        .on('data', (chunk) => chunks.push(chunk))
+        .on('error', done)
+        .on('end', () => {
+          chunks.join('').should.equal('svg');
+          done();
+        });
+    });
+
+    it('should only read archives once, until purged', () => {
+      this.fs.readFileSync('/zip/assets/logo.svg', 'utf8').should.equal('<svg></svg>');
+
+      nodefs.writeFileSync(zipPath, createZip([['assets/logo.svg', '<svg>new</svg>']]));
+      this.fs.readFileSync('/zip/assets/logo.svg', 'utf8').should.equal('<svg></svg>');
+
+      this.fs.purge('/zip');
+      this.fs.readFileSync('/zip/assets/logo.svg', 'utf8').should.equal('<svg>new</svg>');
+    });
+
+    it('should not write to archives', () => {
+      (() => this.fs.writeFileSync('/zip/new.txt', 'x')).should.throw({ code: 'EROFS' });
+    });
+
+    it('should not let writes fall through to less specific mounts', () => {
+      var rootFS = new createMergedFileSystem.MemoryFileSystem({ zip: {} });
+      var fs = createMergedFileSystem({
+        "/": { filesystem: rootFS, writable: true },
+        "/zip": { archive: zipPath }
+      });
+
+      (() => fs.writeFileSync('/zip/assets/logo.svg', 'x')).should.throw({ code: 'EROFS' });
+      rootFS.readdirSync('/zip').should.eql([]);
+    });
+  });
+
+  describe('walk and glob', () => {
+    beforeEach(() => {
+      this.upperFS = new createMergedFileSystem.MemoryFileSystem({
+        'main.scss': 'upper',
+        styles: { 'a.scss': 'a', 'b.css': 'b' },
+        '.hidden': { 'secret.scss': 's' }
+      });
+      this.lowerFS = new createMergedFileSystem.MemoryFileSystem({
+        'main.scss': 'lower',
+        styles: { 'c.scss': 'c', deep: { 'd.scss': 'd' } },
+        node_modules: { pkg: { 'e.scss': 'e' } }
+      });
+
+      this.fs = createMergedFileSystem({
+        "/app": [{ filesystem: this.upperFS, label: 'upper' }, { filesystem: this.lowerFS, label: 'lower' }],
+        "/app/vendor": { files: { 'v.scss': 'v' } }
+      });
+    });
+
+    it('should walk the merged tree synchronously', () => {
+      var entries = Array.from(this.fs.walkSync('/app'));
+
+      entries.map((entry) => entry.path).should.eql([
+        '/app/.hidden',
+        '/app/.hidden/secret.scss',
+        '/app/main.scss',
+        '/app/node_modules',
+        '/app/node_modules/pkg',
+        '/app/node_modules/pkg/e.scss',
+        '/app/styles',
+        '/app/styles/a.scss',
+        '/app/styles/b.css',
+        '/app/styles/c.scss',
+        '/app/styles/deep',
+        '/app/styles/deep/d.scss',
+        '/app/vendor',
+        '/app/vendor/v.scss'
+      ]);
+
+      entries[2].depth.should.equal(1);
+      entries[2].dirent.isFile().should.be.true();
+      entries[11].depth.should.equal(3);
+    });
+
+    it('should support ignore patterns, max depth and mount boundaries', () => {
+      var paths = (options) => Array.from(this.fs.walkSync('/app', options)).map((entry) => entry.path);
+
+      paths({ ignore: ['node_modules', '.*'], maxDepth: 2 }).should.eql([
+        '/app/main.scss',
+        '/app/styles',
+        '/app/styles/a.scss',
+        '/app/styles/b.css',
+        '/app/styles/c.scss',
+        '/app/styles/deep',
+        '/app/vendor',
+        '/app/vendor/v.scss'
+      ]);
+
+      paths({ maxDepth: 1, crossMounts: false }).should.eql(['/app/.hidden', '/app/main.scss', '/app/node_modules', '/app/styles', '/app/vendor']);
+      paths({ crossMounts: false }).indexOf('/app/vendor/v.scss').should.equal(-1);
+    });
+
+    it('should ignore names at any depth', () => {
+      var paths = (options) => Array.from(this.fs.walkSync('/app', options)).map((entry) => entry.path);
+
+      paths({ ignore: ['deep', '*.css', '.*'] }).should.eql([
+        '/app/main.scss',
+        '/app/node_modules',
+        '/app/node_modules/pkg',
+        '/app/node_modules/pkg/e.scss',
+        '/app/styles',
+        '/app/styles/a.scss',
+        '/app/styles/c.scss',
+        '/app/vendor',
+        '/app/vendor/v.scss'
+      ]);
+
+      paths({ ignore: 'styles/deep' }).indexOf('/app/styles/deep').should.equal(-1);
+      this.fs.globSync('/app/**/*.scss', { ignore: 'pkg' }).indexOf('/app/node_modules/pkg/e.scss').should.equal(-1);
+    });
+
+    it('should report which layer entries come from', () => {
+      var entries = Array.from(this.fs.walkSync('/app/styles', { withLayer: true }));
+
+      entries.map((entry) => [entry.path, entry.layer.label]).should.eql([
+        ['/app/styles/a.scss', 'upper'],
+        ['/app/styles/b.css', 'upper'],
+        ['/app/styles/c.scss', 'lower'],
+        ['/app/styles/deep', 'lower'],
+        ['/app/styles/deep/d.scss', 'lower']
+      ]);
+    });
+
+    it('should walk asynchronously', (done) => {
+      var walkAll = async () => {
+        var paths = [];
+
+        for await (var entry of this.fs.walk('/app/styles', { ignore: '**/*.css' })) {
+          paths.push(entry.path);
+        }
+
+        return paths;
+      };
+
+      walkAll().then((paths) => {
+        paths.should.eql(['/app/styles/a.scss', '/app/styles/c.scss', '/app/styles/deep', '/app/styles/deep/d.scss']);
+        done();
+      }).catch(done);
+    });
+
+    it('should glob synchronously', () => {
+      this.fs.globSync('/app/**/*.scss', { ignore: 'node_modules/**' }).should.eql([
+        '/app/.hidden/secret.scss',
+        '/app/main.scss',
+        '/app/styles/a.scss',
+        '/app/styles/c.scss',
+        '/app/styles/deep/d.scss',
+        '/app/vendor/v.scss'
+      ]);
+
+      this.fs.globSync('/app/*/*.{scss,css}').should.eql([
+        '/app/.hidden/secret.scss',
+        '/app/styles/a.scss',
+        '/app/styles/b.css',
+        '/app/styles/c.scss',
+        '/app/vendor/v.scss'
+      ]);
+
+      this.fs.globSync('/app/main.scss', { withLayer: true }).map((result) => result.layer.label).should.eql(['upper']);
+      this.fs.globSync('/app/missing/*.scss').should.eql([]);
+      this.fs.globSync('/app/missing.scss').should.eql([]);
+    });
+
+    it('should glob asynchronously, relative to the cwd', (done) => {
+      this.fs.chdir('/app/styles');
+
+      this.fs.glob('**/*.scss', (error, paths) => {
+        should(error).not.be.ok();
+        paths.should.eql(['/app/styles/a.scss', '/app/styles/c.scss', '/app/styles/deep/d.scss']);
+
+        this.fs.promises.glob('*.css', { withLayer: true }).then((results) => {
+          results.map((result) => [result.path, result.layer.label]).should.eql([['/app/styles/b.css', 'upper']]);
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should not use sync functions to glob asynchronously', () => {
+      ['statSync', 'lstatSync', 'readdirSync'].forEach((funcName) => {
+        this.fs[funcName] = () => { throw new Error(`${funcName} called`); };
+      });
+
+      return Promise.all([
+        this.fs.promises.glob('/app/styles/*.scss'),
+        this.fs.promises.glob('/app/main.scss')
+      ]).then((results) => {
+        results.should.eql([['/app/styles/a.scss', '/app/styles/c.scss'], ['/app/main.scss']]);
+      });
+    });
+  });
+
+  describe('file descriptors', () => {
+    beforeEach(() => {
+      this.memoryFS = new createMergedFileSystem.MemoryFileSystem({ 'lower.txt': 'from memory' });
+      this.upperFS = new createMergedFileSystem.MemoryFileSystem();
+
+      this.fs = createMergedFileSystem({
+        "/disk": { alias: tempDir, writable: true },
+        "/app": [{ filesystem: this.upperFS, writable: true }, this.memoryFS, tempDir]
+      });
+    });
+
+    it('should read through the layer\'s own fds', () => {
+      var fd = this.fs.openSync(`/disk/${tempFilename}`);
+      var buffer = Buffer.alloc(3);
+
+      this.fs.fstatSync(fd).size.should.equal(6);
+      this.fs.readSync(fd, buffer, 0, 3, null).should.equal(3);
+      buffer.toString().should.equal('foo');
+      this.fs.readSync(fd, buffer, 0, 3, null).should.equal(3);
+      buffer.toString().should.equal('bar');
+      this.fs.readSync(fd, buffer, { position: 1, length: 2 }).should.equal(2);
+      buffer.toString().should.equal('oor');
+      this.fs.closeSync(fd);
+
+      (() => this.fs.readSync(fd, buffer)).should.throw({ code: 'EBADF' });
+    });
+
+    it('should emulate fds for layers without them', () => {
+      var fd = this.fs.openSync('/app/lower.txt', 'r');
+      var buffer = Buffer.alloc(20);
+
+      this.fs.fstatSync(fd).isFile().should.be.true();
+      this.fs.readSync(fd, buffer, 0, 4).should.equal(4);
+      this.fs.readSync(fd, buffer, 4, 20, null).should.equal(7);
+      buffer.slice(0, 11).toString().should.equal('from memory');
+      this.fs.readSync(fd, buffer, 0, 4, 5).should.equal(4);
+      buffer.slice(0, 4).toString().should.equal('memo');
+      this.fs.readSync(fd, buffer, 0, 20, null).should.equal(0);
+      this.fs.closeSync(fd);
+
+      (() => this.fs.openSync('/app/missing.txt')).should.throw({ code: 'ENOENT', syscall: 'open' });
+    });
+
+    it('should write to the write layer, copying up lower files first', () => {
+      var fd = this.fs.openSync(`/app/${tempFilename}`, 'r+');
+
+      this.fs.writeSync(fd, 'F').should.equal(1);
+      this.fs.writeSync(fd, Buffer.from('OO'), 0, 2, 1).should.equal(2);
+      this.fs.fstatSync(fd).size.should.equal(6);
+
+      // Nothing changes until the fd is closed
+      this.upperFS.readFileSync(`/${tempFilename}`, 'utf8').should.equal('foobar');
+      this.fs.closeSync(fd);
+
+      this.fs.readFileSync(`/app/${tempFilename}`, 'utf8').should.equal('FOObar');
+      nodefs.readFileSync(tempFilepath, 'utf8').should.equal('foobar');
+
+      fd = this.fs.openSync('/app/lower.txt', 'a');
+      this.fs.writeSync(fd, '!', 0);
+      this.fs.closeSync(fd);
+      this.fs.readFileSync('/app/lower.txt', 'utf8').should.equal('from memory!');
+      this.memoryFS.readFileSync('/lower.txt', 'utf8').should.equal('from memory');
+
+      fd = this.fs.openSync('/app/new.txt', 'w');
+      this.upperFS.existsSync('/new.txt').should.be.true();
+      this.fs.writeSync(fd, 'new');
+      this.fs.closeSync(fd);
+      this.fs.readFileSync('/app/new.txt', 'utf8').should.equal('new');
+    });
+
+    it('should create missing directories when copying up', (done) => {
+      this.memoryFS.mkdirSync('/dir/nested', { recursive: true });
+      this.memoryFS.writeFileSync('/dir/nested/a.txt', 'nested');
+      this.memoryFS.mkdirSync('/other');
+      this.memoryFS.writeFileSync('/other/b.txt', 'b');
+
+      var fd = this.fs.openSync('/app/dir/nested/a.txt', 'r+');
+      this.fs.writeSync(fd, 'N');
+      this.fs.closeSync(fd);
+
+      this.upperFS.readFileSync('/dir/nested/a.txt', 'utf8').should.equal('Nested');
+
+      this.fs.open('/app/other/b.txt', 'a', (error, fd) => {
+        should(error).not.be.ok();
+
+        this.fs.write(fd, '!', () => {
+          this.fs.close(fd, () => {
+            this.upperFS.readFileSync('/other/b.txt', 'utf8').should.equal('b!');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should check flags and access modes', () => {
+      (() => this.fs.openSync('/app/lower.txt', 'wx')).should.throw({ code: 'EEXIST' });
+      (() => this.fs.openSync('/app/missing.txt', 'r+')).should.throw({ code: 'ENOENT' });
+      (() => this.fs.openSync('/app', 'w')).should.throw({ code: 'EISDIR' });
+      (() => this.fs.openSync('/app/lower.txt', 'nope')).should.throw({ code: 'ERR_INVALID_ARG_VALUE' });
+
+      var fd = this.fs.openSync('/app/lower.txt');
+      (() => this.fs.writeSync(fd, 'x')).should.throw({ code: 'EBADF' });
+      this.fs.closeSync(fd);
+
+      fd = this.fs.openSync('/app/out.txt', nodefs.constants.O_WRONLY | nodefs.constants.O_CREAT);
+      (() => this.fs.readSync(fd, Buffer.alloc(1))).should.throw({ code: 'EBADF' });
+      this.fs.closeSync(fd);
+    });
+
+    it('should write through the layer\'s own fds', () => {
+      var fd = this.fs.openSync('/disk/fd.txt', 'w+');
+
+      this.fs.writeSync(fd, 'written').should.equal(7);
+      this.fs.fstatSync(fd).size.should.equal(7);
+      this.fs.closeSync(fd);
+
+      nodefs.readFileSync(path.join(tempDir, 'fd.txt'), 'utf8').should.equal('written');
+      nodefs.unlinkSync(path.join(tempDir, 'fd.txt'));
+    });
+
+    it('should read transformed content', () => {
+      this.fs.addTransform('/app/*.txt', (content) => content.toString().toUpperCase());
+
+      var fd = this.fs.openSync('/app/lower.txt');
+      var buffer = Buffer.alloc(11);
+
+      this.fs.fstatSync(fd).size.should.equal(11);
+      this.fs.readSync(fd, buffer);
+      buffer.toString().should.equal('FROM MEMORY');
+      this.fs.closeSync(fd);
+    });
+
+    it('should work with callbacks', (done) => {
+      this.fs.open('/app/cb.txt', 'w+', (error, fd) => {
+        should(error).not.be.ok();
+
+        this.fs.write(fd, 'callback', (error, bytesWritten, data) => {
+          bytesWritten.should.equal(8);
+          data.should.equal('callback');
+
+          this.fs.read(fd, Buffer.alloc(4), 0, 4, 4, (error, bytesRead, buffer) => {
+            buffer.toString().should.equal('back');
+
+            this.fs.fstat(fd, (error, stats) => {
+              stats.size.should.equal(8);
+
+              this.fs.close(fd, (error) => {
+                should(error).not.be.ok();
+                this.upperFS.readFileSync('/cb.txt', 'utf8').should.equal('callback');
+
+                this.fs.open(`/disk/${tempFilename}`, (error, fd) => {
+                  this.fs.read(fd, Buffer.alloc(6), 0, 6, null, (error, bytesRead, buffer) => {
+                    bytesRead.should.equal(6);
+                    buffer.toString().should.equal('foobar');
+                    this.fs.close(fd, done);
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should always call back asynchronously', (done) => {
+      var returned = false;
+      var calls = 0;
+      var called = () => {
+        returned.should.be.true();
+
+        if (++calls === 7) {
+          done();
+        }
+      };
+      var failed = (error) => {
+        should(error).be.ok();
+        called();
+      };
+
+      this.fs.addMountPoint('/readonly', { files: { 'a.txt': 'a' } });
+      this.fs.open('/app/lower.txt', 'nope', failed);
+      this.fs.open('/readonly/a.txt', 'w', failed);
+      this.fs.read(1000, Buffer.alloc(1), 0, 1, null, failed);
+      this.fs.write(1000, 'x', failed);
+      this.fs.fstat(1000, failed);
+      this.fs.close(1000, failed);
+
+      // Emulated fds that already have their content loaded
+      var fd = this.fs.openSync('/app/lower.txt');
+      this.fs.readSync(fd, Buffer.alloc(1));
+      this.fs.read(fd, Buffer.alloc(1), 0, 1, null, (error, bytesRead) => {
+        should(error).not.be.ok();
+        bytesRead.should.equal(1);
+        this.fs.close(fd, called);
+      });
+
+      returned = true;
+    });
+
+    it('should work with promises', (done) => {
+      var run = async () => {
+        var fd = await this.fs.promises.open('/app/lower.txt', 'r+');
+
+        (await this.fs.promises.write(fd, 'FROM')).bytesWritten.should.equal(4);
+        (await this.fs.promises.read(fd, Buffer.alloc(7), 0, 7, null)).buffer.toString().should.equal(' memory');
+        (await this.fs.promises.fstat(fd)).size.should.equal(11);
+        await this.fs.promises.close(fd);
+
+        await this.fs.promises.open('/app/missing.txt').should.be.rejectedWith({ code: 'ENOENT' });
+        return this.fs.readFileSync('/app/lower.txt', 'utf8');
+      };
+
+      run().then((content) => {
+        content.should.equal('FROM memory');
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('exists and access', () => {
+    beforeEach(() => {
+      this.upperFS = new createMergedFileSystem.MemoryFileSystem({ 'upper.txt': 'upper' });
+
+      this.fs = createMergedFileSystem({
+        "/app": [{ filesystem: this.upperFS, writable: true }, tempDir],
+        "/vendor": { files: { 'locked.txt': 'locked' }, readOnly: true },
+        "/styles": { files: { 'a.scss': 'a', 'a.js': 'a', sub: { 'b.scss': 'b' } }, include: '**/*.scss' },
+        "/lib/deep": { files: {} }
+      });
+    });
+
+    it('should check whether paths exist', () => {
+      this.fs.existsSync('/app/upper.txt').should.be.true();
+      this.fs.existsSync(`/app/${tempFilename}`).should.be.true();
+      this.fs.existsSync('/styles/a.scss').should.be.true();
+      this.fs.existsSync('/styles/sub').should.be.true();
+      this.fs.existsSync('/lib').should.be.true();
+
+      this.fs.existsSync('/app/missing.txt').should.be.false();
+      this.fs.existsSync('/styles/a.js').should.be.false();
+      this.fs.existsSync('/not/mounted').should.be.false();
+
+      this.fs.unlinkSync(`/app/${tempFilename}`);
+      this.fs.existsSync(`/app/${tempFilename}`).should.be.false();
+    });
+
+    it('should not stat layers that have existsSync', () => {
+      var probeFS = {
+        existsSync: (filepath) => filepath === '/probe.txt',
+        statSync: () => { throw new Error('should not stat'); }
+      };
+
+      var fs = createMergedFileSystem({ "/probe": probeFS });
+
+      fs.existsSync('/probe/probe.txt').should.be.true();
+      fs.existsSync('/probe/missing.txt').should.be.false();
+      fs.accessSync('/probe/probe.txt');
+    });
+
+    it('should check access modes against the stats of layers without access', (done) => {
+      var { R_OK, W_OK, X_OK } = nodefs.constants;
+
+      this.fs.accessSync('/app/upper.txt', R_OK | W_OK);
+      this.fs.accessSync('/styles/sub', R_OK | X_OK);
+      (() => this.fs.accessSync('/app/upper.txt', X_OK)).should.throw({ code: 'EACCES', syscall: 'access', path: '/app/upper.txt' });
+      (() => this.fs.accessSync('/styles/a.scss', R_OK | X_OK)).should.throw({ code: 'EACCES' });
+
+      this.fs.access('/app/upper.txt', X_OK, (error) => {
+        error.code.should.equal('EACCES');
+        error.attempts[0].label.should.equal('MemoryFileSystem');
+
+        this.fs.access('/app/upper.txt', R_OK, done);
+      });
+    });
+
+    it('should check access modes against the winning layer', () => {
+      var { R_OK, W_OK, X_OK } = nodefs.constants;
+
+      this.fs.accessSync(`/app/${tempFilename}`);
+      this.fs.accessSync(`/app/${tempFilename}`, R_OK | W_OK);
+      this.fs.accessSync('/app/upper.txt', R_OK | W_OK);
+      this.fs.accessSync('/lib', R_OK);
+
+      (() => this.fs.accessSync(`/app/${tempFilename}`, X_OK)).should.throw({ code: 'EACCES', path: `/app/${tempFilename}`, syscall: 'access' });
+      (() => this.fs.accessSync('/app/missing.txt')).should.throw({ code: 'ENOENT' });
+      (() => this.fs.accessSync('/vendor/locked.txt', W_OK)).should.throw({ code: 'EROFS' });
+      (() => this.fs.accessSync('/styles/a.scss', W_OK)).should.throw({ code: 'EROFS' });
+
+      this.fs.accessSync('/vendor/locked.txt', R_OK);
+    });
+
+    it('should have callback and promise versions', (done) => {
+      this.fs.exists('/app/upper.txt', (exists) => {
+        exists.should.be.true();
+
+        this.fs.exists('/styles/a.js', (exists) => {
+          exists.should.be.false();
+
+          this.fs.access('/vendor/locked.txt', nodefs.constants.W_OK, (error) => {
+            error.code.should.equal('EROFS');
+
+            this.fs.access(`/app/${tempFilename}`, nodefs.constants.X_OK, (error) => {
+              error.code.should.equal('EACCES');
+              error.attempts[0].subpath.should.equal(tempFilepath);
+
+              this.fs.promises.access('/app/upper.txt', nodefs.constants.W_OK).then(() => {
+                return this.fs.promises.access('/app/missing.txt').should.be.rejectedWith({ code: 'ENOENT' });
+              }).then(() => done()).catch(done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('command line', () => {
+    var configFilepath = path.join(tempDir, 'merged-fs.json');
+
+    beforeEach(() => {
+      nodefs.writeFileSync(configFilepath, JSON.stringify({
+        "/app": [{ files: { 'a.txt': 'from memory', dir: { 'b.txt': 'b' } }, label: 'memory' }, '.'],
+        "/lib/deep": { files: {} }
+      }));
+
+      this.run = (...args) => {
+        var output = { stdout: '', stderr: '' };
+        var io = {
+          cwd: tempDir,
+          stdout: { write: (chunk) => output.stdout += chunk },
+          stderr: { write: (chunk) => output.stderr += chunk }
+        };
+
+        output.code = runCommandLine(args, io);
+        return output;
+      };
+    });
+
+    afterEach(() => {
+      nodefs.unlinkSync(configFilepath);
+    });
+
+    it('should list and print files', () => {
+      this.run('ls', '/app').stdout.should.equal(`a.txt\ndir/\nmerged-fs.json\n${tempFilename}\n`);
+      this.run('cat', `/app/${tempFilename}`).stdout.should.equal('foobar');
+      this.run('--config', configFilepath, 'cat', '/app/a.txt').stdout.should.equal('from memory');
+    });
+
+    it('should print trees', () => {
+      this.run('tree', '/').stdout.should.equal([
+        '/',
+        '├── app/',
+        '│   ├── a.txt',
+        '│   ├── dir/',
+        '│   │   └── b.txt',
+        '│   ├── merged-fs.json',
+        `│   └── ${tempFilename}`,
+        '└── lib/',
+        '    └── deep/',
+        ''
+      ].join('\n'));
+
+      this.run('tree', '/', '--depth', '1').stdout.should.equal('/\n├── app/\n└── lib/\n');
+    });
+
+    it('should show stats and layers', () => {
+      this.run('stat', '/app/a.txt').stdout.should.match(/^path: +\/app\/a\.txt\ntype: +file\nsize: +11\n/);
+      JSON.parse(this.run('stat', `/app/${tempFilename}`, '--json').stdout).layer.should.eql({
+        mountPath: '/app',
+        label: `fs:${tempDir}`,
+        subpath: tempFilepath,
+        writable: false
+      });
+
+      this.run('which', '/app/a.txt').stdout.should.equal('memory /a.txt (mounted at /app)\n');
+      this.run('which', '/app/a.txt', '--all').stdout.split('\n').length.should.equal(3);
+      JSON.parse(this.run('which', '/lib', '--json').stdout).should.eql({ path: '/lib', virtual: true });
+    });
+
+    it('should load JS configs with filesystem instances', () => {
+      var jsConfigFilepath = path.join(tempDir, 'merged-fs.config.js');
+
+      nodefs.writeFileSync(jsConfigFilepath, [
+        `const createMergedFileSystem = require(${JSON.stringify(require.resolve('../index'))});`,
+        `module.exports = {`,
+        `  '/src': new createMergedFileSystem.MemoryFileSystem({ 'a.txt': 'from js' }),`,
+        `  '/disk': { alias: '.', label: 'disk' }`,
+        `};`
+      ].join('\n'));
+
+      try {
+        this.run('-c', 'merged-fs.config.js', 'ls', '/src').stdout.should.equal('a.txt\n');
+        this.run('-c', 'merged-fs.config.js', 'cat', '/src/a.txt').stdout.should.equal('from js');
+        this.run('-c', 'merged-fs.config.js', 'cat', `/disk/${tempFilename}`).stdout.should.equal('foobar');
+      } finally {
+        delete require.cache[jsConfigFilepath];
+        nodefs.unlinkSync(jsConfigFilepath);
+      }
+    });
+
+    it('should report errors', () => {
+      var result = this.run('cat', '/app/missing.txt');
+      result.code.should.equal(1);
+      result.stderr.should.match(/^merged-fs: ENOENT/);
+
+      this.run('nope').stderr.should.match(/unknown command nope/);
+      this.run('--help').code.should.equal(0);
+      this.run().code.should.equal(1);
+    });
+  });
+
+  describe('snapshots', () => {
+    var outputDir = tempDir + '-materialized';
+
+    beforeEach(() => {
+      this.upperFS = new createMergedFileSystem.MemoryFileSystem({
+        'main.js': 'upper',
+        lib: { 'util.js': 'util' },
+        'image.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0x00])
+      });
+      this.upperFS.symlinkSync('lib/util.js', '/util-link.js');
+
+      this.fs = createMergedFileSystem({
+        "/app": [{ filesystem: this.upperFS, label: 'upper' }, { files: { 'main.js': 'lower', 'lower.js': 'lower' }, label: 'lower' }, tempDir],
+        "/app/vendor": { files: { 'v.js': 'v' } }
+      });
+
+      this.fs.addTransform('/app/lower.js', (content) => `/* transformed */ ${content}`);
+    });
+
+    afterEach(() => {
+      nodefs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('should snapshot the merged view', () => {
+      var snapshot = this.fs.snapshotSync('/app', { ignore: tempFilename, withLayer: true });
+
+      snapshot.root.should.equal('/app');
+      Object.keys(snapshot.entries).should.eql(['image.png', 'lib', 'lib/util.js', 'lower.js', 'main.js', 'util-link.js', 'vendor', 'vendor/v.js']);
+
+      snapshot.entries['main.js'].should.eql({ type: 'file', content: 'upper', encoding: 'utf8', layer: 'upper' });
+      snapshot.entries['lower.js'].content.should.equal('/* transformed */ lower');
+      snapshot.entries['image.png'].encoding.should.equal('base64');
+      snapshot.entries['lib'].type.should.equal('directory');
+      snapshot.entries['util-link.js'].should.eql({ type: 'symlink', target: 'lib/util.js', layer: 'upper' });
+    });
+
+    it('should mount snapshots again', () => {
+      var snapshot = JSON.parse(JSON.stringify(this.fs.snapshotSync('/app')));
+      var replayed = createMergedFileSystem({ "/app": { snapshot } });
+
+      replayed.readFileSync('/app/main.js', 'utf8').should.equal('upper');
+      replayed.readFileSync(`/app/${tempFilename}`, 'utf8').should.equal('foobar');
+      replayed.readFileSync('/app/image.png').should.eql(this.upperFS.readFileSync('/image.png'));
+      replayed.readFileSync('/app/util-link.js', 'utf8').should.equal('util');
+      replayed.readdirSync('/app/vendor').should.eql(['v.js']);
+      (() => replayed.writeFileSync('/app/main.js', 'changed')).should.throw({ code: 'EROFS' });
+
+      var writable = createMergedFileSystem({ "/app": { snapshot, writable: true } });
+      writable.writeFileSync('/app/main.js', 'changed');
+      writable.readFileSync('/app/main.js', 'utf8').should.equal('changed');
+
+      (() => createMergedFileSystem({ "/app": { snapshot: { entries: {} } } })).should.throw(/not a merged-fs snapshot/);
+    });
+
+    it('should materialize into memory and onto disk', () => {
+      var memoryFS = this.fs.materializeSync('/app/lib');
+
+      memoryFS.should.be.an.instanceOf(createMergedFileSystem.MemoryFileSystem);
+      memoryFS.readdirSync('/').should.eql(['util.js']);
+
+      this.fs.materializeSync('/app', outputDir, { ignore: tempFilename }).should.equal(outputDir);
+
+      nodefs.readFileSync(path.join(outputDir, 'main.js'), 'utf8').should.equal('upper');
+      nodefs.readFileSync(path.join(outputDir, 'vendor/v.js'), 'utf8').should.equal('v');
+      nodefs.readlinkSync(path.join(outputDir, 'util-link.js')).should.equal('lib/util.js');
+      nodefs.existsSync(path.join(outputDir, tempFilename)).should.be.false();
+    });
+
+    it('should work asynchronously', (done) => {
+      this.fs.snapshot('/app/vendor', (error, snapshot) => {
+        should(error).not.be.ok();
+        snapshot.entries.should.eql({ 'v.js': { type: 'file', content: 'v', encoding: 'utf8' } });
+
+        this.fs.promises.materialize('/app', outputDir).then(() => {
+          nodefs.readFileSync(path.join(outputDir, 'lower.js'), 'utf8').should.equal('/* transformed */ lower');
+          return this.fs.promises.materialize('/app/lib');
+        }).then((memoryFS) => {
+          memoryFS.readFileSync('/util.js', 'utf8').should.equal('util');
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
+  describe('conflicts', () => {
+    beforeEach(() => {
+      this.generatedFS = new createMergedFileSystem.MemoryFileSystem({
+        'app.js': 'fresh',
+        'same.js': 'same',
+        'sized.js': 'abcd',
+        styles: { 'main.css': 'body {}' },
+        lib: 'not a directory'
+      });
+
+      this.fs = createMergedFileSystem({
+        "/assets": [
+          { filesystem: this.generatedFS, label: 'generated' },
+          { files: { 'app.js': 'stale', 'same.js': 'same', 'sized.js': 'abc', styles: { 'main.css': 'old', 'other.css': '' }, lib: { 'x.js': 'x' } }, label: 'old' }
+        ],
+        "/assets/extra": { files: { 'only.js': 'only' } }
+      });
+    });
+
+    it('should report paths served by several layers', () => {
+      var conflicts = this.fs.conflictsSync('/assets');
+
+      conflicts.map((conflict) => conflict.path).should.eql(['/assets/app.js', '/assets/lib', '/assets/same.js', '/assets/sized.js', '/assets/styles/main.css']);
+
+      var appConflict = conflicts[0];
+      appConflict.winner.label.should.equal('generated');
+      appConflict.winner.subpath.should.equal('/app.js');
+      appConflict.shadowed.map((layer) => layer.label).should.eql(['old']);
+      appConflict.shadowed[0].sizeDiffers.should.be.false();
+      appConflict.shadowed[0].contentDiffers.should.be.true();
+      appConflict.differs.should.be.true();
+
+      conflicts[1].winner.type.should.equal('file');
+      conflicts[1].shadowed[0].type.should.equal('directory');
+      conflicts[2].differs.should.be.false();
+      conflicts[3].shadowed[0].sizeDiffers.should.be.true();
+    });
+
+    it('should only compare sizes without compareContent', () => {
+      var conflicts = this.fs.conflictsSync('/assets/styles', { compareContent: false });
+
+      conflicts.length.should.equal(1);
+      conflicts[0].shadowed[0].sizeDiffers.should.be.true();
+
+      conflicts = this.fs.conflictsSync('/assets', { compareContent: false, ignore: ['lib', 'styles'] });
+      should(conflicts[0].shadowed[0].contentDiffers).be.undefined();
+      should(conflicts[0].differs).be.undefined();
+    });
+
+    it('should not claim uncompared content is different in warnings', () => {
+      var warnings = [];
+
+      this.fs.conflictsSync('/assets', { compareContent: false, ignore: ['lib', 'styles'], warn: (message) => warnings.push(message) });
+      warnings[0].should.equal('/assets/app.js from generated shadows old (with possibly different content, not compared)');
+    });
+
+    it('should emit warnings', () => {
+      var warnings = [];
+
+      this.fs.conflictsSync('/assets', { warn: (message, conflict) => warnings.push([message, conflict.path]) });
+
+      warnings.length.should.equal(5);
+      warnings[0].should.eql(['/assets/app.js from generated shadows old (with different content)', '/assets/app.js']);
+      warnings[2][0].should.equal('/assets/same.js from generated shadows old (with the same content)');
+    });
+
+    it('should work asynchronously', (done) => {
+      this.fs.conflicts('/assets/styles', (error, conflicts) => {
+        should(error).not.be.ok();
+        conflicts.map((conflict) => conflict.path).should.eql(['/assets/styles/main.css']);
+        conflicts[0].shadowed[0].contentDiffers.should.be.true();
+
+        this.fs.promises.conflicts('/assets', { ignore: 'styles' }).then((conflicts) => {
+          conflicts.length.should.equal(4);
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
 });